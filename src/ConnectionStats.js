@@ -0,0 +1,115 @@
+import { shallowReactive } from 'vue'
+import { normalizeOption } from './options'
+
+let encoder = null
+
+/**
+ * Size of a frame in bytes as sent over the wire: UTF-8 for text, the
+ * buffer or blob size for binary data.
+ */
+export function frameSize (data) {
+  if (typeof data === 'string') {
+    if (typeof TextEncoder === 'undefined') { return data.length }
+    encoder = encoder || new TextEncoder()
+    return encoder.encode(data).length
+  }
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) { return data.byteLength }
+  if (typeof Blob !== 'undefined' && data instanceof Blob) { return data.size }
+  return 0
+}
+
+/**
+ * Traffic and latency counters of one connection.
+ *
+ * `values` is a shallow reactive object for templates; counters accumulate
+ * across reconnects, `uptime` covers the current connection and is refreshed
+ * with every frame and every `interval` ms. Latency samples come from
+ * heartbeat ping/pong pairs and request/response round trips; `latency` is
+ * the last one and `averageLatency` the mean of the last `samples`. While
+ * started, `onStats` receives a plain snapshot every `interval` ms.
+ */
+export default class ConnectionStats {
+  constructor ({ interval = 5000, samples = 10, onStats } = {}) {
+    this.interval = interval
+    this.samples = samples
+    this.onStats = onStats
+    this.latencies = []
+    this.intervalId = null
+    this.values = shallowReactive({
+      messagesIn: 0,
+      messagesOut: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+      reconnects: 0,
+      lastMessageAt: null,
+      connectedAt: null,
+      uptime: 0,
+      latency: null,
+      averageLatency: null
+    })
+  }
+
+  received (data) {
+    this.values.messagesIn++
+    this.values.bytesIn += frameSize(data)
+    this.values.lastMessageAt = Date.now()
+    this.updateUptime()
+  }
+
+  sent (data) {
+    this.values.messagesOut++
+    this.values.bytesOut += frameSize(data)
+    this.updateUptime()
+  }
+
+  opened () {
+    this.values.connectedAt = Date.now()
+    this.values.uptime = 0
+  }
+
+  closed () {
+    this.values.connectedAt = null
+    this.values.uptime = 0
+  }
+
+  reconnecting () {
+    this.values.reconnects++
+  }
+
+  /**
+   * @param {number} rtt - Round-trip time in ms
+   */
+  latency (rtt) {
+    this.latencies.push(rtt)
+    if (this.latencies.length > this.samples) { this.latencies.shift() }
+    this.values.latency = rtt
+    this.values.averageLatency = Math.round(this.latencies.reduce((sum, value) => sum + value, 0) / this.latencies.length)
+  }
+
+  updateUptime () {
+    this.values.uptime = this.values.connectedAt === null ? 0 : Date.now() - this.values.connectedAt
+  }
+
+  snapshot () {
+    this.updateUptime()
+    return { ...this.values, timestamp: Date.now() }
+  }
+
+  start () {
+    if (this.intervalId || !this.interval) { return }
+    this.intervalId = setInterval(() => {
+      const snapshot = this.snapshot()
+      if (this.onStats) { this.onStats(snapshot) }
+    }, this.interval)
+  }
+
+  stop () {
+    clearInterval(this.intervalId)
+    this.intervalId = null
+  }
+}
+
+// A function is shorthand for `{ onStats }`
+export function createStats (option) {
+  return normalizeOption(typeof option === 'function' ? { onStats: option } : option, ConnectionStats)
+}
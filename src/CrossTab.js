@@ -0,0 +1,365 @@
+/**
+ * One WebSocket per origin shared by all tabs.
+ *
+ * Every tab has a `TabHub` per channel name. The hubs elect a leader with the
+ * Web Locks API, or with heartbeats over the BroadcastChannel where locks are
+ * unavailable. Only the leader opens the real WebSocket: it relays inbound
+ * frames and connection events to the other tabs and sends the frames they
+ * forward. Each consumer gets a `TabSocket`, which behaves like a WebSocket,
+ * so the plugin and the composable work unchanged.
+ *
+ * When the leader goes away, the next tab takes over; sockets that were open
+ * through the old leader close with code 1006 and reconnect like after a
+ * dropped connection.
+ */
+
+import EventSocket, { OPEN, CLOSING, CLOSED, createEvent } from './EventSocket'
+
+// Hubs of this tab by channel name
+const hubs = new Map()
+
+/**
+ * Consumer side of the shared connection, with the WebSocket interface.
+ */
+export class TabSocket extends EventSocket {
+  constructor (url, protocols, hub) {
+    super(url)
+    this.hub = hub
+    hub.attach(this, protocols)
+  }
+
+  get binaryType () {
+    return this.hub.binaryType
+  }
+
+  set binaryType (value) {
+    this.hub.setBinaryType(value)
+  }
+
+  transmit (data) {
+    this.hub.send(data)
+  }
+
+  /**
+   * Release this tab's use of the connection. The real socket is closed by
+   * the leader once no tab uses it anymore.
+   */
+  close (code = 1000, reason = '') {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) { return }
+    this.readyState = CLOSING
+    this.hub.detach(this)
+    setTimeout(() => this.closed({ code, reason, wasClean: true }), 0)
+  }
+
+  closed (event) {
+    if (this.readyState === CLOSED) { return }
+    this.hub.sockets.delete(this)
+    this.hub.releaseIfUnused()
+    super.closed(event)
+  }
+}
+
+/**
+ * Per-tab coordinator of one shared connection.
+ *
+ * @param {string} name - Channel and lock name shared by the tabs
+ * @param {Object} options
+ * @param {number} options.heartbeatInterval - Leader heartbeat interval without Web Locks, in ms (default: 1000)
+ * @param {number} options.leaderTimeout - Take over after this long without a heartbeat, in ms (default: 3000)
+ * @param {Object} options.locks - Web Locks implementation (default: navigator.locks)
+ */
+export class TabHub {
+  constructor (name, { heartbeatInterval = 1000, leaderTimeout = 3000, locks = defaultLocks() } = {}) {
+    this.name = name
+    this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+    this.heartbeatInterval = heartbeatInterval
+    this.leaderTimeout = leaderTimeout
+    this.isLeader = false
+    this.leaderId = null
+    this.lastHeartbeat = Date.now()
+    this.sockets = new Set()
+    this.remote = new Map()
+    this.real = null
+    this.url = null
+    this.protocols = undefined
+    this.binaryType = 'blob'
+    this.destroyed = false
+    this.releaseTimeoutId = null
+
+    this.channel = new BroadcastChannel(`vue-native-socket:${name}`)
+    this.channel.onmessage = (event) => this.receive(event.data)
+
+    if (locks) {
+      locks.request(`vue-native-socket:${name}`, () => {
+        // A request granted after destroy() frees the lock right away
+        if (this.destroyed) { return }
+        return new Promise((resolve) => {
+          this.releaseLock = resolve
+          this.lead()
+        })
+      })
+    } else {
+      this.heartbeatId = setInterval(() => this.tick(), heartbeatInterval)
+    }
+    this.post({ type: 'hello' })
+  }
+
+  post (message) {
+    this.channel.postMessage({ ...message, from: this.id })
+  }
+
+  attach (socket, protocols) {
+    // The latest URL and subprotocols carry the freshest token
+    this.url = socket.url
+    this.protocols = protocols
+    this.sockets.add(socket)
+    clearTimeout(this.releaseTimeoutId)
+
+    if (!this.isLeader) {
+      this.post({ type: 'attach', url: this.url, protocols: this.protocols })
+    } else if (this.real && this.real.readyState === OPEN) {
+      setTimeout(() => socket.opened(), 0)
+    } else {
+      this.ensureReal()
+    }
+  }
+
+  detach (socket) {
+    if (!this.sockets.delete(socket)) { return }
+    if (this.isLeader) {
+      this.closeRealIfUnused()
+    } else {
+      this.post({ type: 'detach', count: 1 })
+    }
+    this.releaseIfUnused()
+  }
+
+  send (data) {
+    if (this.isLeader) {
+      if (this.real && this.real.readyState === OPEN) { this.real.send(data) }
+    } else {
+      this.post({ type: 'send', data })
+    }
+  }
+
+  setBinaryType (value) {
+    this.binaryType = value
+    if (this.real) { this.real.binaryType = value }
+  }
+
+  receive (message) {
+    if (this.leaderId === null && !this.isLeader && ['open', 'message', 'error', 'close'].includes(message.type)) {
+      this.leaderId = message.from
+    }
+    const fromLeader = message.from === this.leaderId
+
+    switch (message.type) {
+      case 'hello':
+        if (this.isLeader) { this.post({ type: 'heartbeat' }) }
+        break
+      case 'leader':
+        this.heard(message.from, true)
+        break
+      case 'heartbeat':
+        this.heard(message.from, this.leaderId !== null)
+        break
+      case 'attach':
+        if (!this.isLeader) { break }
+        this.url = message.url
+        this.protocols = message.protocols
+        this.remote.set(message.from, (this.remote.get(message.from) || 0) + 1)
+        if (this.real && this.real.readyState === OPEN) {
+          this.post({ type: 'open' })
+        } else {
+          this.ensureReal()
+        }
+        break
+      case 'detach':
+        if (!this.isLeader) { break }
+        this.remote.set(message.from, Math.max(0, (this.remote.get(message.from) || 0) - message.count))
+        this.closeRealIfUnused()
+        this.releaseIfUnused()
+        break
+      case 'send':
+        if (this.isLeader) { this.send(message.data) }
+        break
+      case 'open':
+        if (fromLeader) { this.forEachSocket((socket) => socket.opened()) }
+        break
+      case 'message':
+        if (fromLeader) { this.deliver(message.data) }
+        break
+      case 'error':
+        if (fromLeader) { this.forEachSocket((socket) => socket.dispatchEvent(createEvent('error', socket))) }
+        break
+      case 'close':
+        if (fromLeader) { this.forEachSocket((socket) => socket.closed(message)) }
+        break
+    }
+  }
+
+  /**
+   * Another tab leads. A newly elected leader has not seen earlier attach
+   * messages, so `reattach` re-sends them; an established leader that is
+   * only now known to this tab already handled them.
+   */
+  heard (leaderId, reattach) {
+    if (this.isLeader) {
+      if (leaderId > this.id) { return }
+      this.resign()
+    }
+    this.lastHeartbeat = Date.now()
+    if (leaderId === this.leaderId) { return }
+
+    this.leaderId = leaderId
+    if (!reattach) { return }
+    // Sockets open through the previous leader lost their connection
+    this.forEachSocket((socket) => {
+      if (socket.readyState === OPEN) { socket.closed({ code: 1006, reason: 'Leader changed', wasClean: false }) }
+    })
+    this.sockets.forEach(() => this.post({ type: 'attach', url: this.url, protocols: this.protocols }))
+  }
+
+  lead () {
+    this.isLeader = true
+    this.leaderId = this.id
+    this.remote.clear()
+    this.post({ type: 'leader' })
+
+    this.forEachSocket((socket) => {
+      if (socket.readyState === OPEN) { socket.closed({ code: 1006, reason: 'Leader changed', wasClean: false }) }
+    })
+    if (this.sockets.size) { this.ensureReal() }
+  }
+
+  resign () {
+    this.isLeader = false
+    if (this.real) {
+      const real = this.real
+      this.real = null
+      real.onopen = real.onmessage = real.onerror = real.onclose = null
+      real.close()
+    }
+  }
+
+  tick () {
+    if (this.isLeader) {
+      this.post({ type: 'heartbeat' })
+      return
+    }
+    // Without a known leader, the answer to 'hello' is due within one interval
+    const limit = this.leaderId === null ? this.heartbeatInterval : this.leaderTimeout
+    if (Date.now() - this.lastHeartbeat >= limit) { this.lead() }
+  }
+
+  ensureReal () {
+    if (this.real || !this.url) { return }
+
+    const real = this.protocols ? new WebSocket(this.url, this.protocols) : new WebSocket(this.url)
+    real.binaryType = this.binaryType
+    this.real = real
+
+    real.onopen = () => {
+      this.forEachSocket((socket) => socket.opened())
+      this.post({ type: 'open' })
+    }
+    real.onmessage = (event) => {
+      this.deliver(event.data)
+      this.post({ type: 'message', data: event.data })
+    }
+    real.onerror = () => {
+      this.forEachSocket((socket) => socket.dispatchEvent(createEvent('error', socket)))
+      this.post({ type: 'error' })
+    }
+    real.onclose = (event) => {
+      this.real = null
+      this.remote.clear()
+      const details = { code: event.code, reason: event.reason, wasClean: event.wasClean }
+      this.forEachSocket((socket) => socket.closed(details))
+      this.post({ type: 'close', ...details })
+    }
+  }
+
+  inUse () {
+    let remote = 0
+    this.remote.forEach((count) => { remote += count })
+    return this.sockets.size > 0 || remote > 0
+  }
+
+  closeRealIfUnused () {
+    if (this.real && !this.inUse()) { this.real.close() }
+  }
+
+  /**
+   * Destroy a hub of `createTabSocket()` once no socket of this tab, nor of
+   * another tab while leading, uses it. Checked after the current task, so a
+   * socket replacing a closed one keeps the hub.
+   */
+  releaseIfUnused () {
+    if (hubs.get(this.name) !== this) { return }
+    clearTimeout(this.releaseTimeoutId)
+    this.releaseTimeoutId = setTimeout(() => {
+      if (!this.inUse()) { this.destroy() }
+    }, 0)
+  }
+
+  deliver (data) {
+    this.forEachSocket((socket) => socket.receive(data))
+  }
+
+  forEachSocket (fn) {
+    Array.from(this.sockets).forEach(fn)
+  }
+
+  /**
+   * Leave the group, e.g. when the page is unloaded.
+   */
+  destroy () {
+    if (this.destroyed) { return }
+    this.destroyed = true
+    if (this.isLeader) {
+      // The next leader tells the other tabs, which then reconnect through it
+      this.resign()
+    } else if (this.sockets.size) {
+      this.post({ type: 'detach', count: this.sockets.size })
+    }
+    clearInterval(this.heartbeatId)
+    clearTimeout(this.releaseTimeoutId)
+    if (this.releaseLock) { this.releaseLock() }
+    this.channel.close()
+    if (hubs.get(this.name) === this) { hubs.delete(this.name) }
+    if (this.onPageHide) { window.removeEventListener('pagehide', this.onPageHide) }
+  }
+}
+
+function defaultLocks () {
+  return typeof navigator !== 'undefined' && navigator.locks ? navigator.locks : null
+}
+
+/**
+ * Create the socket for a connection with the `crossTab` option. Falls back
+ * to a plain WebSocket where BroadcastChannel is unavailable.
+ *
+ * @param {boolean|Object} option - `true`, or `{ name, heartbeatInterval, leaderTimeout }`;
+ *   `name` defaults to `baseUrl`
+ * @param {string} baseUrl - URL without the auth token, so reconnects with a fresh
+ *   token and tabs with different tokens share one hub (default: `url`)
+ */
+export function createTabSocket (url, protocols, option, baseUrl = url) {
+  if (typeof BroadcastChannel === 'undefined') {
+    return protocols ? new WebSocket(url, protocols) : new WebSocket(url)
+  }
+
+  const options = option === true ? {} : option
+  const name = options.name || baseUrl
+  let hub = hubs.get(name)
+  if (!hub) {
+    hub = new TabHub(name, options)
+    hubs.set(name, hub)
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      hub.onPageHide = () => hub.destroy()
+      window.addEventListener('pagehide', hub.onPageHide, { once: true })
+    }
+  }
+  return new TabSocket(url, protocols, hub)
+}
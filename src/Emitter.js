@@ -1,17 +1,43 @@
+/**
+ * Event emitter behind `sockets` handlers.
+ *
+ * Labels containing `*` are patterns over dot-separated names: `*` matches one
+ * segment and `**` any number of them, so `chat.*` receives `chat.message`
+ * and `**` receives everything. A RegExp label works as a pattern too. Pattern
+ * listeners are called with the emitted label first, then the arguments.
+ *
+ * Every listener runs in isolation: a throwing listener, or a rejected promise
+ * it returns, is reported to `onError(error, { label, vm })` and the remaining
+ * listeners still run.
+ *
+ * With `forward`, every emit is repeated on that emitter after the own
+ * listeners; the plugin uses it to keep the shared default export working.
+ */
 class Emitter {
-  constructor () {
+  constructor ({ onError, forward = null } = {}) {
     this.listeners = new Map()
+    this.patterns = new Map()
+    this.onError = onError || reportError
+    this.forward = forward
   }
 
-  addListener (label, callback, vm) {
+  addListener (label, callback, vm, once = false) {
     if (typeof callback === 'function') {
+      if (isPattern(label) && !this.patterns.has(label)) { this.patterns.set(label, toRegExp(label)) }
       this.listeners.has(label) || this.listeners.set(label, [])
-      this.listeners.get(label).push({ callback, vm })
+      this.listeners.get(label).push({ callback, vm, once })
       return true
     }
     return false
   }
 
+  /**
+   * Add a listener that is removed before its first call.
+   */
+  once (label, callback, vm) {
+    return this.addListener(label, callback, vm, true)
+  }
+
   removeListener (label, callback, vm) {
     const listeners = this.listeners.get(label)
     let index
@@ -33,17 +59,88 @@ class Emitter {
     return false
   }
 
+  /**
+   * Remove every listener registered by `vm`, or all listeners when called
+   * without arguments.
+   */
+  removeAllListeners (vm) {
+    if (!arguments.length) {
+      const removed = Array.from(this.listeners.values()).some((listeners) => listeners.length)
+      this.listeners.clear()
+      this.patterns.clear()
+      return removed
+    }
+
+    let removed = false
+    this.listeners.forEach((listeners, label) => {
+      const kept = listeners.filter((listener) => listener.vm !== vm)
+      if (kept.length !== listeners.length) {
+        removed = true
+        this.listeners.set(label, kept)
+      }
+    })
+    return removed
+  }
+
   emit (label, ...args) {
-    const listeners = this.listeners.get(label)
+    const calls = []
 
-    if (listeners && listeners.length) {
-      listeners.forEach((listener) => {
-        listener.callback.call(listener.vm, ...args)
-      })
-      return true
+    this.listeners.forEach((listeners, key) => {
+      if (key === label) {
+        listeners.forEach((listener) => calls.push({ listeners, listener, args }))
+      } else if (this.patterns.has(key) && typeof label === 'string' && this.patterns.get(key).test(label)) {
+        listeners.forEach((listener) => calls.push({ listeners, listener, args: [label, ...args] }))
+      }
+    })
+
+    calls.forEach(({ listeners, listener }) => {
+      if (listener.once && listeners.includes(listener)) { listeners.splice(listeners.indexOf(listener), 1) }
+    })
+    calls.forEach(({ listener, args }) => this.invoke(label, listener, args))
+
+    const forwarded = this.forward ? this.forward.emit(label, ...args) : false
+    return calls.length > 0 || forwarded
+  }
+
+  invoke (label, listener, args) {
+    const report = (error) => this.onError(error, { label, vm: listener.vm })
+
+    try {
+      const result = listener.callback.call(listener.vm, ...args)
+      if (result && typeof result.then === 'function') { result.then(null, report) }
+    } catch (e) {
+      report(e)
     }
-    return false
   }
 }
 
+function isPattern (label) {
+  return label instanceof RegExp || (typeof label === 'string' && label.includes('*'))
+}
+
+function toRegExp (label) {
+  if (label instanceof RegExp) { return label }
+  const source = label
+    .split('.')
+    .map((segment) => segment === '**' ? '.+' : segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]*'))
+    .join('\\.')
+  return new RegExp(`^${source}$`)
+}
+
+function reportError (error, { label }) {
+  console.error(`[vue-native-socket] Error in "${String(label)}" listener`, error)
+}
+
+/** provide/inject key of the plugin's default connection emitter */
+export const socketEmitterKey = Symbol('socketEmitter')
+
+/** provide/inject key of the plugin's named connection emitters, by name */
+export const socketEmittersKey = Symbol('socketEmitters')
+
+export function createEmitter (options) {
+  return new Emitter(options)
+}
+
+// Shared emitter of standalone Observers, kept for code subscribing to the
+// default export; plugin installs forward their default connection here
 export default new Emitter()
@@ -0,0 +1,99 @@
+/**
+ * WebSocket interface shared by the socket stand-ins: cross-tab sockets,
+ * HTTP fallback transports and the test mocks.
+ *
+ * Events reach both the `on*` handlers and listeners added with
+ * `addEventListener`. Subclasses deliver frames with `transmit(data)`, which
+ * `send` only calls while open, and report progress through `opened()`,
+ * `receive(data)`, `fail()` and `closed()`.
+ */
+
+export const CONNECTING = 0
+export const OPEN = 1
+export const CLOSING = 2
+export const CLOSED = 3
+
+export function createEvent (type, target, props = {}) {
+  return { type, target, currentTarget: target, timeStamp: Date.now(), ...props }
+}
+
+export default class EventSocket {
+  constructor (url) {
+    this.url = url
+    this.protocol = ''
+    this.extensions = ''
+    this.bufferedAmount = 0
+    this.readyState = CONNECTING
+    this.listeners = {}
+
+    this.onopen = null
+    this.onmessage = null
+    this.onerror = null
+    this.onclose = null
+  }
+
+  addEventListener (type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).concat(listener)
+  }
+
+  removeEventListener (type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter((l) => l !== listener)
+  }
+
+  dispatchEvent (event) {
+    event.target = this
+    event.currentTarget = this
+    if (typeof this['on' + event.type] === 'function') { this['on' + event.type](event) }
+    ;(this.listeners[event.type] || []).forEach((listener) => listener.call(this, event))
+    return true
+  }
+
+  send (data) {
+    if (this.readyState === CONNECTING) {
+      throw new DOMException("Failed to execute 'send' on 'WebSocket': Still in CONNECTING state.", 'InvalidStateError')
+    }
+    if (this.readyState !== OPEN) { return }
+    this.transmit(data)
+  }
+
+  transmit () {}
+
+  opened () {
+    if (this.readyState !== CONNECTING) { return }
+    this.readyState = OPEN
+    this.dispatchEvent(createEvent('open', this))
+  }
+
+  receive (data) {
+    if (this.readyState !== OPEN) { return }
+    this.dispatchEvent(createEvent('message', this, { data, origin: this.url }))
+  }
+
+  fail (code = 1006, reason = '') {
+    if (this.readyState === CLOSED) { return }
+    this.dispatchEvent(createEvent('error', this))
+    this.closed({ code, reason, wasClean: false })
+  }
+
+  closed ({ code, reason, wasClean }) {
+    if (this.readyState === CLOSED) { return }
+    this.readyState = CLOSED
+    this.dispatchEvent(createEvent('close', this, { code, reason, wasClean }))
+  }
+}
+
+/**
+ * Stand-in for a socket that is not opened yet, or never is, as during
+ * server-side rendering. It stays closed and drops sends.
+ */
+export class InertSocket extends EventSocket {
+  constructor (url) {
+    super(url)
+    this.readyState = CLOSED
+  }
+
+  close () {}
+}
+
+Object.assign(EventSocket, { CONNECTING, OPEN, CLOSING, CLOSED })
+Object.assign(EventSocket.prototype, { CONNECTING, OPEN, CLOSING, CLOSED })
@@ -0,0 +1,69 @@
+import { normalizeOption } from './options'
+
+/**
+ * Periodic ping with dead connection detection.
+ *
+ * While started, `message` is sent every `interval` ms. If no inbound frame
+ * arrives within `timeout` ms of a ping, `onTimeout` is called so the owner
+ * can force-close the socket and let its reconnection logic take over.
+ * `onPong`, if given, receives the round-trip time of each answered ping.
+ */
+export default class Heartbeat {
+  constructor ({ interval = 30000, timeout = 10000, message = 'ping', pong = 'pong' } = {}, { send, onTimeout, onPong }) {
+    this.interval = interval
+    this.timeout = timeout
+    this.message = message
+    this.pong = pong
+    this.send = send
+    this.onTimeout = onTimeout
+    this.onPong = onPong
+    this.sentAt = null
+    this.intervalId = null
+    this.timeoutId = null
+  }
+
+  start () {
+    this.stop()
+    this.intervalId = setInterval(() => this.beat(), this.interval)
+  }
+
+  beat () {
+    this.send(typeof this.message === 'function' ? this.message() : this.message)
+    this.sentAt = Date.now()
+
+    if (!this.timeoutId) {
+      this.timeoutId = setTimeout(() => {
+        this.timeoutId = null
+        this.stop()
+        this.onTimeout()
+      }, this.timeout)
+    }
+  }
+
+  /**
+   * Record an inbound frame. Returns true when the frame is a pong that
+   * should not be passed on to consumers.
+   */
+  received (data) {
+    clearTimeout(this.timeoutId)
+    this.timeoutId = null
+    const isPong = typeof this.pong === 'function' ? this.pong(data) === true : data === this.pong
+    if (isPong && this.sentAt !== null) {
+      if (this.onPong) { this.onPong(Date.now() - this.sentAt) }
+      this.sentAt = null
+    }
+    return isPong
+  }
+
+  stop () {
+    clearInterval(this.intervalId)
+    clearTimeout(this.timeoutId)
+    this.intervalId = null
+    this.timeoutId = null
+    this.sentAt = null
+  }
+}
+
+export function createHeartbeat (option, handlers) {
+  return normalizeOption(option, Heartbeat, handlers)
+}
@@ -1,41 +1,152 @@
-import Observer from './Observer'
-import Emitter from './Emitter'
+import { reactive } from 'vue'
+import Observer, { createSocketState } from './Observer'
+import { createStats } from './ConnectionStats'
+import Emitter, { createEmitter, socketEmitterKey, socketEmittersKey } from './Emitter'
 import { useWebSocket } from './useWebSocket'
+import { jsonCodec, textCodec, msgpackCodec, createJsonCodec } from './codecs'
+import { setupDevtools } from './devtools'
 
 export default {
 
   install (app, connection, opts = {}) {
-    if (!connection && !opts.connectManually) { throw new Error('[vue-native-socket] cannot locate connection') }
+    if (!connection && !opts.connectManually && !opts.connections) { throw new Error('[vue-native-socket] cannot locate connection') }
 
     let observer = null
+    const devtools = opts.devtools ? setupDevtools(app) : null
+
+    // Each install owns its emitters, so apps on the same page never see each
+    // other's events. The default connection also forwards to the shared
+    // `Emitter` export for code that still subscribes there.
+    const emitter = createEmitter({ onError: opts.onListenerError, forward: Emitter })
+    const emitters = {}
+    opts.$emitter = emitter
+    app.config.globalProperties.$socketEmitter = emitter
+    app.config.globalProperties.$socketEmitters = emitters
+    app.provide(socketEmitterKey, emitter)
+    app.provide(socketEmittersKey, emitters)
 
     opts.$setInstance = (wsInstance) => {
       app.config.globalProperties.$socket = wsInstance
     }
 
+    // One state object for the app, handed to every Observer created for the
+    // default connection so templates keep tracking it across $connect calls
+    if (connection || opts.connectManually) {
+      opts.$state = createSocketState()
+      app.config.globalProperties.$socketState = opts.$state
+      if (devtools) { opts.$devtools = devtools.connection('default', { observer: () => observer, emitter }) }
+      if (opts.stats) {
+        opts.$stats = createStats(opts.stats)
+        app.config.globalProperties.$socketStats = opts.$stats.values
+      }
+    }
+
+    // With `ssr`, the default and named connections open once the app is
+    // mounted, so hydration sees the same disconnected state the server
+    // rendered. Other apps connect right away, as before.
+    const deferConnect = !!opts.ssr && typeof app.mount === 'function'
+    const pending = []
+    if (deferConnect) {
+      const mount = app.mount
+      app.mount = (...args) => {
+        const vm = mount.apply(app, args)
+        pending.splice(0).forEach((observer) => observer.start())
+        return vm
+      }
+    }
+
+    const exposeQueue = (observer) => {
+      if (observer.queue) {
+        app.config.globalProperties.$socketQueue = reactive({ size: observer.queue.size })
+      }
+    }
+
     if (opts.connectManually) {
       app.config.globalProperties.$connect = (connectionUrl = connection, connectionOpts = opts) => {
         connectionOpts.$setInstance = opts.$setInstance
+        connectionOpts.$emitter = opts.$emitter
+        connectionOpts.$state = opts.$state
+        connectionOpts.$devtools = opts.$devtools
+        connectionOpts.$stats = opts.$stats
         observer = new Observer(connectionUrl, connectionOpts)
         app.config.globalProperties.$socket = observer.WebSocket
+        exposeQueue(observer)
         opts.store.$socket = observer.WebSocket
         opts.store._customProperties.add('$socket')
       }
 
       app.config.globalProperties.$disconnect = () => {
-        if (observer && observer.reconnection) {
-          observer.reconnection = false
-          clearTimeout(observer.reconnectTimeoutId)
-        }
-        if (app.config.globalProperties.$socket) {
-          app.config.globalProperties.$socket.close()
-          delete app.config.globalProperties.$socket
-        }
+        if (observer) { observer.disconnect() }
+        delete app.config.globalProperties.$socket
       }
-    } else {
+    } else if (connection) {
+      opts.$deferConnect = deferConnect
       observer = new Observer(connection, opts)
       app.config.globalProperties.$socket = observer.WebSocket
+      exposeQueue(observer)
+      if (deferConnect) { pending.push(observer) }
+    }
+
+    // Named connections each get their own emitter, so handlers registered
+    // under `sockets: { [name]: { ... } }` only see that connection's events
+    const namedObservers = []
+    if (opts.connections) {
+      app.config.globalProperties.$sockets = {}
+      app.config.globalProperties.$socketStates = {}
+      app.config.globalProperties.$socketStatsByName = {}
+
+      Object.keys(opts.connections).forEach((name) => {
+        const definition = opts.connections[name]
+        const { url, ...connectionOpts } = typeof definition === 'string' || typeof definition === 'function' ? { url: definition } : definition
+
+        emitters[name] = createEmitter({ onError: opts.onListenerError })
+        connectionOpts.$emitter = emitters[name]
+        connectionOpts.$setInstance = (wsInstance) => {
+          app.config.globalProperties.$sockets[name] = wsInstance
+        }
+        connectionOpts.$state = createSocketState()
+        app.config.globalProperties.$socketStates[name] = connectionOpts.$state
+        if (connectionOpts.stats) {
+          connectionOpts.$stats = createStats(connectionOpts.stats)
+          app.config.globalProperties.$socketStatsByName[name] = connectionOpts.$stats.values
+        }
+        let namedObserver = null
+        if (devtools) { connectionOpts.$devtools = devtools.connection(name, { observer: () => namedObserver, emitter: emitters[name] }) }
+        connectionOpts.$deferConnect = deferConnect
+        namedObserver = new Observer(url, connectionOpts)
+        app.config.globalProperties.$sockets[name] = namedObserver.WebSocket
+        if (deferConnect) { pending.push(namedObserver) }
+        namedObservers.push(namedObserver)
+      })
+    }
+
+    // Every connection of the install ends with the app
+    if (typeof app.unmount === 'function') {
+      const unmount = app.unmount
+      app.unmount = (...args) => {
+        const result = unmount.apply(app, args)
+        if (observer) { observer.disconnect() }
+        namedObservers.forEach((namedObserver) => namedObserver.disconnect())
+        return result
+      }
     }
+
+    const addListener = (key, value, vm) => {
+      if (emitters[key] && value && typeof value === 'object') {
+        Object.keys(value).forEach((eventName) => emitters[key].addListener(eventName, value[eventName], vm))
+      } else {
+        emitter.addListener(key, value, vm)
+      }
+    }
+
+    const removeListener = (key, value, vm) => {
+      if (emitters[key] && value && typeof value === 'object') {
+        Object.keys(value).forEach((eventName) => emitters[key].removeListener(eventName, value[eventName], vm))
+      } else {
+        emitter.removeListener(key, value, vm)
+      }
+    }
+
     const hasProxy = typeof Proxy !== 'undefined' && typeof Proxy === 'function' && /native code/.test(Proxy.toString())
 
     app.mixin({
@@ -46,13 +157,13 @@ export default {
         if (hasProxy) {
           this.$options.sockets = new Proxy({}, {
             set (target, key, value) {
-              Emitter.addListener(key, value, vm)
+              addListener(key, value, vm)
               target[key] = value
               return true
             },
             deleteProperty (target, key) {
-              Emitter.removeListener(key, vm.$options.sockets[key], vm)
-              delete target.key
+              removeListener(key, vm.$options.sockets[key], vm)
+              delete target[key]
               return true
             }
           })
@@ -67,19 +178,19 @@ export default {
           // if !hasProxy need addListener
           if (sockets) {
             Object.keys(sockets).forEach(key => {
-              Emitter.addListener(key, sockets[key], vm)
+              addListener(key, sockets[key], vm)
             })
           }
         }
         app.config.globalProperties.sockets = new Proxy({}, {
           set (target, key, value) {
-            Emitter.addListener(key, value, vm)
+            addListener(key, value, vm)
             target[key] = value
             return true
           },
           deleteProperty (target, key) {
-            Emitter.removeListener(key, vm.$options.sockets[key], vm)
-            delete target.key
+            removeListener(key, vm.$options.sockets[key], vm)
+            delete target[key]
             return true
           }
         })
@@ -94,10 +205,12 @@ export default {
             })
           }
         }
+        emitter.removeAllListeners(this)
+        Object.keys(emitters).forEach((name) => emitters[name].removeAllListeners(this))
       }
     })
   }
 }
 
 // Named exports for tree-shaking
-export { useWebSocket, Observer, Emitter }
+export { useWebSocket, Observer, Emitter, createEmitter, socketEmitterKey, socketEmittersKey, jsonCodec, textCodec, msgpackCodec, createJsonCodec }
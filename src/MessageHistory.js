@@ -0,0 +1,46 @@
+import { shallowReactive } from 'vue'
+import { normalizeOption } from './options'
+
+/**
+ * Bounded log of the messages a connection received and, optionally, sent.
+ *
+ * Entries are `{ direction, data, timestamp }` objects in arrival order; the
+ * oldest entries are dropped beyond `maxLength`. `entries` is a shallow
+ * reactive array so `v-for` updates without deep-proxying message payloads.
+ */
+export default class MessageHistory {
+  constructor ({ maxLength = 100, filter, map, outbound = false } = {}) {
+    this.maxLength = maxLength
+    this.filter = filter
+    this.map = map
+    this.outbound = outbound
+    this.entries = shallowReactive([])
+  }
+
+  /**
+   * @param {string} direction - 'in' or 'out'
+   * @returns {boolean} Whether the message was recorded
+   */
+  record (direction, data) {
+    if (direction === 'out' && !this.outbound) { return false }
+    if (this.filter && !this.filter(data, direction)) { return false }
+
+    this.entries.push({
+      direction,
+      data: this.map ? this.map(data, direction) : data,
+      timestamp: Date.now()
+    })
+    if (this.entries.length > this.maxLength) {
+      this.entries.splice(0, this.entries.length - this.maxLength)
+    }
+    return true
+  }
+
+  clear () {
+    this.entries.splice(0)
+  }
+}
+
+export function createHistory (option) {
+  return normalizeOption(option, MessageHistory)
+}
@@ -0,0 +1,51 @@
+import { ref } from 'vue'
+import { normalizeOption } from './options'
+
+/**
+ * Outbound message buffer used while a socket is not OPEN.
+ *
+ * Messages are kept in send order and dropped once they outlive `ttl`.
+ * `size` is a ref so the UI can render the number of pending messages.
+ */
+export default class MessageQueue {
+  constructor ({ maxSize = Infinity, ttl = 0 } = {}) {
+    this.maxSize = maxSize
+    this.ttl = ttl
+    this.items = []
+    this.size = ref(0)
+  }
+
+  push (data) {
+    this.prune()
+    if (this.items.length >= this.maxSize) {
+      console.warn('[vue-native-socket] Outbound queue is full, message dropped')
+      return false
+    }
+    this.items.push({ data, expiresAt: this.ttl > 0 ? Date.now() + this.ttl : Infinity })
+    this.size.value = this.items.length
+    return true
+  }
+
+  prune () {
+    const now = Date.now()
+    this.items = this.items.filter((item) => item.expiresAt > now)
+    this.size.value = this.items.length
+  }
+
+  flush (send) {
+    this.prune()
+    const items = this.items
+    this.items = []
+    this.size.value = 0
+    items.forEach((item) => send(item.data))
+  }
+
+  clear () {
+    this.items = []
+    this.size.value = 0
+  }
+}
+
+export function createQueue (option) {
+  return normalizeOption(option, MessageQueue)
+}
@@ -0,0 +1,73 @@
+import { normalizeOption } from './options'
+
+/**
+ * Browser connectivity and page visibility tracking for reconnection.
+ *
+ * Owners check `shouldWait()` before spending a reconnect attempt: it is true
+ * while the browser is offline, or while the page is hidden when
+ * `closeWhenHidden` is enabled. `onResume` is called when the network comes
+ * back or the page becomes visible again, so the owner can reconnect right
+ * away instead of waiting out its delay. With `closeWhenHidden`, `onSuspend`
+ * is called once the page has been hidden for that many ms (`true` means
+ * immediately) so the owner can close its idle connection.
+ */
+export default class NetworkMonitor {
+  constructor ({ closeWhenHidden = false } = {}, { onResume, onSuspend }) {
+    this.closeWhenHidden = closeWhenHidden === true ? 0 : closeWhenHidden
+    this.onResume = onResume
+    this.onSuspend = onSuspend
+    this.hiddenTimeoutId = null
+    this.started = false
+
+    this.handleOnline = () => this.onResume()
+    this.handleVisibility = () => this.visibilityChanged()
+  }
+
+  get online () {
+    return typeof navigator === 'undefined' || navigator.onLine !== false
+  }
+
+  get hidden () {
+    return typeof document !== 'undefined' && document.visibilityState === 'hidden'
+  }
+
+  shouldWait () {
+    return !this.online || (this.closeWhenHidden !== false && this.hidden)
+  }
+
+  start () {
+    if (this.started || typeof window === 'undefined') { return }
+    this.started = true
+    window.addEventListener('online', this.handleOnline)
+    if (this.closeWhenHidden !== false) {
+      document.addEventListener('visibilitychange', this.handleVisibility)
+    }
+  }
+
+  stop () {
+    if (!this.started) { return }
+    this.started = false
+    clearTimeout(this.hiddenTimeoutId)
+    this.hiddenTimeoutId = null
+    window.removeEventListener('online', this.handleOnline)
+    document.removeEventListener('visibilitychange', this.handleVisibility)
+  }
+
+  visibilityChanged () {
+    clearTimeout(this.hiddenTimeoutId)
+    this.hiddenTimeoutId = null
+
+    if (!this.hidden) {
+      if (this.online) { this.onResume() }
+      return
+    }
+    this.hiddenTimeoutId = setTimeout(() => {
+      this.hiddenTimeoutId = null
+      this.onSuspend()
+    }, this.closeWhenHidden)
+  }
+}
+
+export function createNetworkMonitor (option, handlers) {
+  return normalizeOption(option, NetworkMonitor, handlers)
+}
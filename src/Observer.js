@@ -1,10 +1,50 @@
+import { shallowReactive } from 'vue'
 import Emitter from './Emitter'
+import { createQueue } from './MessageQueue'
+import { getReconnectDelay } from './reconnect'
+import { createHeartbeat } from './Heartbeat'
+import { createNetworkMonitor } from './NetworkMonitor'
+import { createStats } from './ConnectionStats'
+import RequestTracker from './RequestTracker'
+import Subscriptions from './Subscriptions'
+import { jsonCodec, resolveCodec } from './codecs'
+import { isBrowser } from './environment'
+import { createValidator } from './validation'
+import { createPipeline, withData } from './middleware'
+import { resolveTarget, isPromise } from './connectionTarget'
+import { createTabSocket } from './CrossTab'
+import { createTransport } from './transports'
+import { InertSocket, OPEN } from './EventSocket'
+
+const SOCKET_EVENTS = ['onmessage', 'onclose', 'onerror', 'onopen']
+
+/**
+ * Reactive connection state kept up to date by an Observer, exposed by the
+ * plugin as `$socketState`. Status values match `useWebSocket`.
+ */
+export function createSocketState () {
+  return shallowReactive({
+    status: 'DISCONNECTED', // DISCONNECTED, CONNECTING, CONNECTED, ERROR
+    error: null,
+    reconnectAttempts: 0,
+    closeCode: null,
+    connectedAt: null
+  })
+}
+
+// Only store actions can be called from the wire, never Pinia's built-in
+// `$patch`, `$reset`, ... or internal `_` members
+function isPiniaAction (store, name) {
+  return !/^[$_]/.test(name) && Object.prototype.hasOwnProperty.call(store, name) && typeof store[name] === 'function'
+}
 
 export default class {
   constructor (connectionUrl, opts = {}) {
     this.format = opts.format && opts.format.toLowerCase()
+    this.codec = resolveCodec(opts.codec || (this.format === 'json' ? 'json' : null), { reviver: opts.reviver })
+    this.parseError = opts.parseError || 'raw'
 
-    if (connectionUrl.startsWith('//')) {
+    if (typeof connectionUrl === 'string' && connectionUrl.startsWith('//') && isBrowser()) {
       const scheme = window.location.protocol === 'https:' ? 'wss' : 'ws'
       connectionUrl = `${scheme}:${connectionUrl}`
     }
@@ -15,63 +55,437 @@ export default class {
     this.reconnection = this.opts.reconnection || false
     this.reconnectionAttempts = this.opts.reconnectionAttempts || Infinity
     this.reconnectionDelay = this.opts.reconnectionDelay || 1000
+    this.reconnectionDelayMax = this.opts.reconnectionDelayMax || Infinity
+    this.reconnectionBackoff = this.opts.reconnectionBackoff || 1
+    this.reconnectionJitter = this.opts.reconnectionJitter || 0
+    this.reconnectStrategy = this.opts.reconnectStrategy
     this.reconnectTimeoutId = 0
     this.reconnectionCount = 0
 
     this.passToStoreHandler = this.opts.passToStoreHandler || false
-
-    this.connect(connectionUrl, opts)
+    this.queue = createQueue(this.opts.queue)
+    this.stats = this.opts.$stats || createStats(this.opts.stats)
+    this.inbound = createPipeline(this.opts.middleware, 'inbound')
+    this.outbound = createPipeline(this.opts.middleware, 'outbound')
+    this.heartbeat = createHeartbeat(this.opts.heartbeat, {
+      send: (data) => this.WebSocket.send(data),
+      onTimeout: () => this.WebSocket.close(4000, 'Heartbeat timeout'),
+      onPong: (rtt) => this.stats && this.stats.latency(rtt)
+    })
+    this.transport = createTransport(this.opts.transport)
+    this.network = createNetworkMonitor(this.opts.network, {
+      onResume: () => this.resume(),
+      onSuspend: () => this.suspend()
+    })
+    this.waitingForNetwork = false
+    this.suspended = false
+    this.requests = new RequestTracker(this.opts.rpc, {
+      onReply: (rtt) => this.stats && this.stats.latency(rtt)
+    })
+    this.subscriptions = new Subscriptions(this.opts.subscriptions, {
+      send: (frame) => this.WebSocket.send((this.codec || jsonCodec).encode(frame)),
+      isOpen: () => !!this.WebSocket && this.WebSocket.readyState === OPEN,
+      onError: (error, info) => this.emitter.onError(error, info)
+    })
+    this.typeField = this.opts.typeField
+    this.validate = createValidator(this.opts.validate, { typeField: this.typeField })
+    this.emitter = this.opts.$emitter || Emitter
+    this.decoded = new WeakMap()
+    this.connectAttempt = 0
+    this.state = this.opts.$state || createSocketState()
+    this.devtools = this.opts.$devtools || null
 
     if (opts.store) { this.store = opts.store }
+    if (opts.stores) { this.stores = new Map(opts.stores.map((store) => [store.$id, store])) }
     if (opts.mutations) { this.mutations = opts.mutations }
+
+    // Until start(), `WebSocket` is a closed placeholder that ignores sends
+    // or queues them, so `$socket` can be used during server rendering
+    this.started = false
+    this.createSocket(null, { ...opts, WebSocket: new InertSocket(connectionUrl) })
+    if (!opts.$deferConnect) { this.start() }
+  }
+
+  /**
+   * Open the connection and start network and stats tracking. Does nothing
+   * on the server, where state stays DISCONNECTED.
+   */
+  start () {
+    if (this.started || !isBrowser()) { return }
+    this.started = true
+
+    this.connect(this.connectionUrl, this.opts)
     this.onEvent()
+    if (this.opts.$setInstance) { this.opts.$setInstance(this.WebSocket) }
+    if (this.network) { this.network.start() }
+    if (this.stats) { this.stats.start() }
+  }
+
+  /**
+   * Close the connection for good. Stops reconnection, the heartbeat,
+   * network and stats tracking, drops a connection still waiting for its URL
+   * or token and clears queued frames. start() does nothing afterwards.
+   */
+  disconnect () {
+    this.started = true
+    this.reconnection = false
+    clearTimeout(this.reconnectTimeoutId)
+    this.reconnectTimeoutId = 0
+    this.connectAttempt++
+    this.waitingForNetwork = false
+    this.suspended = false
+    if (this.heartbeat) { this.heartbeat.stop() }
+    if (this.network) { this.network.stop() }
+    if (this.stats) { this.stats.stop() }
+    if (this.queue) { this.queue.clear() }
+    if (this.WebSocket) { this.WebSocket.close() }
   }
 
   connect (connectionUrl, opts = {}) {
-    const protocol = opts.protocol || ''
-    this.WebSocket = opts.WebSocket || (protocol === '' ? new WebSocket(connectionUrl) : new WebSocket(connectionUrl, protocol))
-    if (this.format === 'json') {
+    this.state.status = 'CONNECTING'
+    if (opts.WebSocket) { return this.createSocket(null, opts) }
+
+    const target = resolveTarget(connectionUrl, opts)
+    if (!isPromise(target)) { return this.createSocket(target, opts) }
+
+    // The socket is created once the URL and token resolve; until then
+    // $socket keeps pointing at the previous instance, if any
+    const attempt = ++this.connectAttempt
+    target.then((resolved) => {
+      if (attempt !== this.connectAttempt) { return }
+      this.createSocket(resolved, opts)
+      this.onEvent()
+      if (this.opts.$setInstance) { this.opts.$setInstance(this.WebSocket) }
+    }, (error) => {
+      if (attempt !== this.connectAttempt) { return }
+      this.connectFailed(error)
+    })
+    return this.WebSocket
+  }
+
+  openWebSocket ({ url, protocols, baseUrl }, opts) {
+    if (opts.crossTab) { return createTabSocket(url, protocols, opts.crossTab, baseUrl) }
+    return protocols ? new WebSocket(url, protocols) : new WebSocket(url)
+  }
+
+  createSocket (target, opts) {
+    this.connectAttempt++
+    if (opts.WebSocket) {
+      this.WebSocket = opts.WebSocket
+    } else if (this.transport) {
+      this.WebSocket = this.transport.create(target.url, target.protocols, () => this.openWebSocket(target, opts))
+    } else {
+      this.WebSocket = this.openWebSocket(target, opts)
+    }
+    const binaryType = opts.binaryType || (this.codec && this.codec.binaryType)
+    if (binaryType) { this.WebSocket.binaryType = binaryType }
+    if (this.codec) {
       if (!('sendObj' in this.WebSocket)) {
-        this.WebSocket.sendObj = (obj) => this.WebSocket.send(JSON.stringify(obj))
+        this.WebSocket.sendObj = (obj) => this.WebSocket.send(this.codec.encode(obj))
       }
     }
+    if (!('request' in this.WebSocket)) {
+      this.WebSocket.request = (payload, options) => this.request(payload, options)
+    }
+    if (!('subscribe' in this.WebSocket)) {
+      this.WebSocket.subscribe = (topic, handler) => this.subscribe(topic, handler)
+    }
+    if ((this.queue || this.outbound || this.devtools || this.stats) && !this.WebSocket.rawSend) {
+      const socket = this.WebSocket
+      socket.rawSend = socket.send.bind(socket)
+      socket.send = (data) => this.send(data)
+    }
 
     return this.WebSocket
   }
 
-  reconnect () {
-    if (this.reconnectionCount <= this.reconnectionAttempts) {
+  send (data) {
+    if (!this.outbound) { return this.deliver(data) }
+
+    let result = true
+    this.outbound(data, (payload) => { result = this.deliver(payload) })
+    return result
+  }
+
+  deliver (data) {
+    if (this.WebSocket.readyState === OPEN || !this.queue) {
+      this.transmit(data)
+      return true
+    }
+    return this.queue.push(data)
+  }
+
+  transmit (data) {
+    this.WebSocket.rawSend(data)
+    if (this.devtools) { this.devtools.frame('out', data) }
+    if (this.stats) { this.stats.sent(data) }
+  }
+
+  request (payload, options) {
+    const { message, promise } = this.requests.create(payload, options)
+    try {
+      this.WebSocket.send((this.codec || jsonCodec).encode(message))
+    } catch (e) {
+      this.requests.reject(message[this.requests.field], e)
+    }
+    return promise
+  }
+
+  subscribe (topic, handler) {
+    return this.subscriptions.add(topic, handler)
+  }
+
+  /**
+   * Decode a message event with the configured codec (JSON if none).
+   * Results are cached per event so handlers, routing and the store share
+   * one decode; decode errors are rethrown on every call.
+   */
+  decode (event) {
+    let result = this.decoded.get(event)
+    if (!result || result.data !== event.data) {
+      try {
+        result = { data: event.data, value: (this.codec || jsonCodec).decode(event.data) }
+      } catch (error) {
+        result = { data: event.data, error }
+      }
+      this.decoded.set(event, result)
+    }
+    if (result.error) { throw result.error }
+    return result.value
+  }
+
+  parse (event) {
+    try {
+      return this.decode(event)
+    } catch {
+      return undefined
+    }
+  }
+
+  resolveRequest (event) {
+    return this.requests.resolve(this.parse(event))
+  }
+
+  emitMessageType (event) {
+    const msg = this.parse(event)
+    const type = msg && msg[this.typeField]
+    if (typeof type === 'string' && !SOCKET_EVENTS.includes(type)) {
+      this.emitter.emit(type, msg)
+    }
+  }
+
+  reconnect (closeEvent) {
+    if (this.network && this.network.shouldWait()) {
+      this.waitingForNetwork = true
+      return
+    }
+
+    const delay = this.reconnectionCount < this.reconnectionAttempts && getReconnectDelay(this.reconnectionCount + 1, closeEvent, {
+      delay: this.reconnectionDelay,
+      backoff: this.reconnectionBackoff,
+      maxDelay: this.reconnectionDelayMax,
+      jitter: this.reconnectionJitter,
+      strategy: this.reconnectStrategy
+    })
+
+    if (delay !== false) {
       this.reconnectionCount++
+      this.state.reconnectAttempts = this.reconnectionCount
       clearTimeout(this.reconnectTimeoutId)
 
       this.reconnectTimeoutId = setTimeout(() => {
-        if (this.store) { this.passToStore('SOCKET_RECONNECT', this.reconnectionCount) }
+        this.reconnectTimeoutId = 0
+        if (this.network && this.network.shouldWait()) {
+          this.waitingForNetwork = true
+          return
+        }
+        this.reopen()
+      }, delay)
+    } else {
+      if (this.devtools) { this.devtools.error('Reconnect failed', closeEvent) }
+      if (this.store || this.stores) { this.passToStore('SOCKET_RECONNECT_ERROR', true) }
+    }
+  }
+
+  reopen () {
+    if (this.devtools) { this.devtools.reconnect(this.reconnectionCount) }
+    if (this.stats) { this.stats.reconnecting() }
+    if (this.store || this.stores) { this.passToStore('SOCKET_RECONNECT', this.reconnectionCount) }
+
+    this.connect(this.connectionUrl, this.opts)
+    this.onEvent()
+  }
+
+  /**
+   * Reconnect right away when the network returns or the page is visible
+   * again, if a reconnect is pending or the connection was suspended.
+   */
+  resume () {
+    if (!this.waitingForNetwork && !this.suspended && !this.reconnectTimeoutId) { return }
+
+    clearTimeout(this.reconnectTimeoutId)
+    this.reconnectTimeoutId = 0
+    this.waitingForNetwork = false
+    this.suspended = false
+    this.reopen()
+    if (this.opts.$setInstance && this.WebSocket) { this.opts.$setInstance(this.WebSocket) }
+  }
 
-        this.connect(this.connectionUrl, this.opts)
-        this.onEvent()
-      }, this.reconnectionDelay)
+  /**
+   * Close an open connection while the page is hidden; resume() reopens it.
+   */
+  suspend () {
+    if (!this.WebSocket || this.WebSocket.readyState !== OPEN) { return }
+
+    this.suspended = true
+    this.WebSocket.close(1000, 'Page hidden')
+  }
+
+  connectFailed (error) {
+    Object.assign(this.state, { status: 'ERROR', error })
+    this.emitter.emit('onerror', error)
+    if (this.devtools) { this.devtools.error('Connection failed', error) }
+    if (this.store || this.stores) { this.passToStore('SOCKET_onerror', error) }
+    if (this.reconnection) {
+      this.reconnect()
     } else {
-      if (this.store) { this.passToStore('SOCKET_RECONNECT_ERROR', true) }
+      console.error('[vue-native-socket] Could not resolve the connection URL', error)
     }
   }
 
   onEvent () {
-    ['onmessage', 'onclose', 'onerror', 'onopen'].forEach((eventType) => {
-      this.WebSocket[eventType] = (event) => {
-        Emitter.emit(eventType, event)
-
-        if (this.store) { this.passToStore('SOCKET_' + eventType, event) }
+    if (!this.WebSocket) { return }
+    const socket = this.WebSocket
+    SOCKET_EVENTS.forEach((eventType) => {
+      socket[eventType] = (event) => {
+        // Ignore late events of a socket that has been replaced
+        if (socket !== this.WebSocket) { return }
+        this.updateState(eventType, event)
+        if (this.devtools) { this.devtools.socketEvent(eventType, event) }
+        if (this.stats) { this.updateStats(eventType, event) }
 
-        if (this.reconnection && eventType === 'onopen') {
-          this.opts.$setInstance(event.currentTarget)
-          this.reconnectionCount = 0
+        if (this.heartbeat) {
+          if (eventType === 'onopen') { this.heartbeat.start() }
+          if (eventType === 'onclose') { this.heartbeat.stop() }
+          if (eventType === 'onmessage' && this.heartbeat.received(event.data)) { return }
         }
 
-        if (this.reconnection && eventType === 'onclose') { this.reconnect() }
+        if (eventType === 'onmessage' && this.inbound) {
+          this.inbound(event.data, (data) => this.handleEvent(eventType, data === event.data ? event : withData(event, data)))
+        } else {
+          this.handleEvent(eventType, event)
+        }
       }
     })
   }
 
+  updateState (eventType, event) {
+    if (eventType === 'onopen') {
+      Object.assign(this.state, { status: 'CONNECTED', error: null, reconnectAttempts: 0, closeCode: null, connectedAt: Date.now() })
+    } else if (eventType === 'onerror') {
+      Object.assign(this.state, { status: 'ERROR', error: event })
+    } else if (eventType === 'onclose') {
+      Object.assign(this.state, { status: 'DISCONNECTED', closeCode: event.code === undefined ? null : event.code, connectedAt: null })
+    }
+  }
+
+  updateStats (eventType, event) {
+    if (eventType === 'onmessage') {
+      this.stats.received(event.data)
+    } else if (eventType === 'onopen') {
+      this.stats.opened()
+    } else if (eventType === 'onclose') {
+      this.stats.closed()
+    }
+  }
+
+  handleEvent (eventType, event) {
+    if (eventType === 'onmessage' && this.codec && !this.decodable(event)) { return }
+    if (eventType === 'onmessage' && this.validate && !this.validMessage(event)) { return }
+    if (eventType === 'onclose') {
+      this.requests.rejectAll(new Error('[vue-native-socket] Connection closed'))
+    }
+    if (eventType === 'onmessage' && this.requests.pending.size && this.resolveRequest(event) && this.requests.intercept) { return }
+
+    if (eventType === 'onopen') { this.subscriptions.replay() }
+    if (this.queue && eventType === 'onopen') {
+      this.queue.flush((data) => this.transmit(data))
+    }
+
+    if (eventType === 'onmessage' && this.codec) {
+      this.emitter.emit(eventType, event, this.parse(event))
+    } else {
+      this.emitter.emit(eventType, event)
+    }
+
+    if (eventType === 'onmessage' && this.codec && this.typeField) { this.emitMessageType(event) }
+    if (eventType === 'onmessage' && this.subscriptions.size) { this.subscriptions.dispatch(this.parse(event)) }
+
+    if (this.store || this.stores) { this.passToStore('SOCKET_' + eventType, event) }
+
+    if (this.reconnection && eventType === 'onopen') {
+      this.opts.$setInstance(event.currentTarget)
+      this.reconnectionCount = 0
+    }
+
+    if (this.reconnection && eventType === 'onclose') { this.reconnect(event) }
+  }
+
+  /**
+   * Apply the `parseError` option to a frame the codec cannot decode: 'raw'
+   * handles it undecoded, 'drop' ignores it and 'store' only passes it to the
+   * store as SOCKET_PARSE_ERROR.
+   * @returns {boolean} Whether to keep handling the frame
+   */
+  decodable (event) {
+    let error = null
+    try {
+      this.decode(event)
+    } catch (e) {
+      error = e
+    }
+    if (!error || this.parseError === 'raw') { return true }
+
+    if (this.devtools) { this.devtools.error('Parse error', error) }
+    if (this.parseError === 'store') {
+      if (this.store || this.stores) {
+        this.passToStore('SOCKET_PARSE_ERROR', { data: event.data, error, event })
+      } else {
+        console.warn('[vue-native-socket] Undecodable frame dropped: parseError is "store" but no store is set', error)
+      }
+    }
+    return false
+  }
+
+  /**
+   * Check a frame against the `validate` option. Rejected frames go to
+   * `onInvalidMessage`, or to the store as SOCKET_INVALID_MESSAGE, and are
+   * not handled any further.
+   */
+  validMessage (event) {
+    let message = event.data
+    if (this.codec) {
+      try {
+        message = this.decode(event)
+      } catch {
+        // Undecodable frames kept by parseError 'raw' are checked as is
+      }
+    }
+
+    const error = this.validate(message)
+    if (!error) { return true }
+
+    if (this.devtools) { this.devtools.error('Invalid message', error) }
+    if (this.opts.onInvalidMessage) {
+      this.opts.onInvalidMessage(message, error, event)
+    } else if (this.store || this.stores) {
+      this.passToStore('SOCKET_INVALID_MESSAGE', { message, error, event })
+    } else {
+      console.warn('[vue-native-socket] Invalid message dropped', error)
+    }
+    return false
+  }
+
   passToStore (eventName, event) {
     if (this.passToStoreHandler) {
       this.passToStoreHandler(eventName, event, this.defaultPassToStore.bind(this))
@@ -85,11 +499,12 @@ export default class {
     let method = 'commit'
     let target = eventName.toUpperCase()
     let msg = event
-    if (this.format === 'json' && event.data) {
-      msg = JSON.parse(event.data)
-      if (msg.mutation) {
+    // Frames that fail to decode are passed on raw, see decodable()
+    if (this.codec && target === 'SOCKET_ONMESSAGE' && this.parse(event) !== undefined) {
+      msg = this.parse(event)
+      if (msg && msg.mutation) {
         target = [msg.namespace || '', msg.mutation].filter((e) => !!e).join('/')
-      } else if (msg.action) {
+      } else if (msg && msg.action) {
         method = 'dispatch'
         target = [msg.namespace || '', msg.action].filter((e) => !!e).join('/')
       }
@@ -99,19 +514,35 @@ export default class {
     }
 
     // Detect store type: Pinia uses $patch, Vuex uses commit/dispatch
-    const isPinia = typeof this.store.$patch === 'function'
+    const isPinia = !this.store || typeof this.store.$patch === 'function'
 
     if (isPinia) {
-      // Pinia: call action directly if it exists
-      target = eventName.toUpperCase()
-      if (typeof this.store[target] === 'function') {
-        this.store[target](msg)
+      // Pinia: `namespace/action` calls the action on the store with that id
+      const separator = target.lastIndexOf('/')
+      const storeId = target.slice(0, Math.max(separator, 0))
+      const action = target.slice(separator + 1)
+      const store = this.resolvePiniaStore(storeId)
+
+      if (!store) {
+        console.warn(storeId
+          ? `[vue-native-socket] Pinia store "${storeId}" not found`
+          : `[vue-native-socket] No default Pinia store for action "${action}"`)
+      } else if (!isPiniaAction(store, action)) {
+        console.warn(`[vue-native-socket] Pinia action "${action}" not found in store`)
       } else {
-        console.warn(`[vue-native-socket] Pinia action "${target}" not found in store`)
+        if (this.devtools) { this.devtools.dispatched({ store: 'pinia', method: 'action', target: `${store.$id}/${action}`, message: msg }) }
+        store[action](msg)
       }
     } else {
       // Vuex: use commit/dispatch
+      if (this.devtools) { this.devtools.dispatched({ store: 'vuex', method, target, message: msg }) }
       this.store[method](target, msg)
     }
   }
+
+  resolvePiniaStore (id) {
+    if (!id) { return this.store }
+    if (this.stores && this.stores.has(id)) { return this.stores.get(id) }
+    return this.store && this.store.$id === id ? this.store : undefined
+  }
 }
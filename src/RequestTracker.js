@@ -0,0 +1,64 @@
+/**
+ * Correlates outbound requests with inbound replies.
+ *
+ * Each request is stamped with a correlation id in `field`; the reply is the
+ * first inbound object carrying the same id. Pending requests are rejected on
+ * timeout or when the connection closes. `onReply`, if given, receives the
+ * round-trip time of each answered request.
+ */
+export default class RequestTracker {
+  constructor ({ field = 'id', timeout = 10000, intercept = false } = {}, { onReply } = {}) {
+    this.field = field
+    this.timeout = timeout
+    this.intercept = intercept
+    this.onReply = onReply
+    this.pending = new Map()
+    this.nextId = 1
+  }
+
+  /**
+   * Stamp `payload` with a correlation id and register it.
+   * @returns {{ message: Object, promise: Promise }}
+   */
+  create (payload, { timeout = this.timeout } = {}) {
+    const id = payload[this.field] != null ? payload[this.field] : this.nextId++
+    const message = { ...payload, [this.field]: id }
+
+    const promise = new Promise((resolve, reject) => {
+      const timeoutId = timeout > 0
+        ? setTimeout(() => this.reject(id, new Error(`[vue-native-socket] Request ${id} timed out after ${timeout}ms`)), timeout)
+        : null
+      this.pending.set(id, { resolve, reject, timeoutId, sentAt: Date.now() })
+    })
+
+    return { message, promise }
+  }
+
+  /**
+   * Settle the request matching `msg`, if any.
+   * @returns {boolean} Whether `msg` was a reply to a pending request
+   */
+  resolve (msg) {
+    if (!msg || typeof msg !== 'object' || !this.pending.has(msg[this.field])) { return false }
+
+    const { resolve, timeoutId, sentAt } = this.pending.get(msg[this.field])
+    clearTimeout(timeoutId)
+    this.pending.delete(msg[this.field])
+    if (this.onReply) { this.onReply(Date.now() - sentAt) }
+    resolve(msg)
+    return true
+  }
+
+  reject (id, error) {
+    const request = this.pending.get(id)
+    if (!request) { return }
+
+    clearTimeout(request.timeoutId)
+    this.pending.delete(id)
+    request.reject(error)
+  }
+
+  rejectAll (error) {
+    Array.from(this.pending.keys()).forEach((id) => this.reject(id, error))
+  }
+}
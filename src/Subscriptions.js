@@ -0,0 +1,85 @@
+/**
+ * Topic subscriptions that survive reconnects.
+ *
+ * The first handler for a topic sends a subscribe frame and the last one to
+ * leave sends an unsubscribe frame. Frames are only sent while the socket is
+ * open; `replay()` re-sends every active subscription after (re)connecting.
+ *
+ * Handlers run in isolation: a throwing handler, or a rejected promise it
+ * returns, is reported to `onError(error, { label: topic })` and the other
+ * handlers still run.
+ */
+export default class Subscriptions {
+  constructor ({
+    subscribe = (topic) => ({ type: 'subscribe', topic }),
+    unsubscribe = (topic) => ({ type: 'unsubscribe', topic }),
+    topic = (msg) => msg && msg.topic
+  } = {}, { send, isOpen, onError }) {
+    this.subscribeFrame = subscribe
+    this.unsubscribeFrame = unsubscribe
+    this.topicOf = topic
+    this.send = send
+    this.isOpen = isOpen
+    this.onError = onError || reportError
+    this.handlers = new Map()
+  }
+
+  get size () {
+    return this.handlers.size
+  }
+
+  /**
+   * @returns {Function} Removes `handler` from `topic`
+   */
+  add (topic, handler) {
+    if (!this.handlers.has(topic)) {
+      this.handlers.set(topic, new Set())
+      if (this.isOpen()) { this.send(this.subscribeFrame(topic)) }
+    }
+    this.handlers.get(topic).add(handler)
+    return () => this.remove(topic, handler)
+  }
+
+  remove (topic, handler) {
+    const handlers = this.handlers.get(topic)
+    if (!handlers || !handlers.delete(handler)) { return false }
+
+    if (!handlers.size) {
+      this.handlers.delete(topic)
+      if (this.isOpen()) { this.send(this.unsubscribeFrame(topic)) }
+    }
+    return true
+  }
+
+  replay () {
+    this.handlers.forEach((_handlers, topic) => this.send(this.subscribeFrame(topic)))
+  }
+
+  /**
+   * Call the handlers subscribed to the topic of `msg`.
+   * @returns {boolean} Whether any handler was called
+   */
+  dispatch (msg) {
+    const topic = this.topicOf(msg)
+    const handlers = this.handlers.get(topic)
+    if (!handlers) { return false }
+
+    Array.from(handlers).forEach((handler) => this.invoke(topic, handler, msg))
+    return true
+  }
+
+  invoke (topic, handler, msg) {
+    const report = (error) => this.onError(error, { label: topic })
+
+    try {
+      const result = handler(msg)
+      if (result && typeof result.then === 'function') { result.then(null, report) }
+    } catch (e) {
+      report(e)
+    }
+  }
+}
+
+function reportError (error, { label }) {
+  console.error(`[vue-native-socket] Error in "${String(label)}" subscription handler`, error)
+}
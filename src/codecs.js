@@ -0,0 +1,69 @@
+import * as msgpack from './msgpack'
+
+/**
+ * Message codecs shared by the plugin and the composable.
+ *
+ * A codec is `{ encode(value), decode(data) }`, optionally with a
+ * `binaryType` that is applied to the socket so `decode` receives the frame
+ * in the expected form.
+ */
+
+export const jsonCodec = createJsonCodec()
+
+export const textCodec = {
+  name: 'text',
+  encode: (value) => String(value),
+  decode: (data) => data
+}
+
+export const msgpackCodec = {
+  name: 'msgpack',
+  binaryType: 'arraybuffer',
+  encode: (value) => msgpack.encode(value),
+  decode: (data) => msgpack.decode(data)
+}
+
+const builtInCodecs = {
+  json: jsonCodec,
+  text: textCodec,
+  msgpack: msgpackCodec
+}
+
+/**
+ * JSON codec whose `decode` passes `reviver` to `JSON.parse`, e.g. to revive
+ * dates or parse big numbers.
+ */
+export function createJsonCodec ({ reviver } = {}) {
+  return {
+    name: 'json',
+    encode: (value) => JSON.stringify(value),
+    decode: (data) => JSON.parse(data, reviver)
+  }
+}
+
+/**
+ * Resolve a `codec` option: a built-in codec name or a codec object. A
+ * `reviver` applies to the built-in JSON codec.
+ * @returns {Object|null} The codec, or null when none is configured
+ */
+export function resolveCodec (codec, { reviver } = {}) {
+  if (!codec) { return null }
+  if (typeof codec === 'string') {
+    const builtIn = builtInCodecs[codec.toLowerCase()]
+    if (!builtIn) { throw new Error(`[vue-native-socket] Unknown codec "${codec}"`) }
+    return builtIn === jsonCodec && reviver ? createJsonCodec({ reviver }) : builtIn
+  }
+  if (typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error('[vue-native-socket] A codec must implement encode() and decode()')
+  }
+  return codec
+}
+
+/**
+ * Encode an outbound message. Codecs without a `binaryType` only encode
+ * objects so strings can still be sent as raw frames; binary codecs encode
+ * every value.
+ */
+export function encodeMessage (codec, message) {
+  return codec && (typeof message === 'object' || codec.binaryType) ? codec.encode(message) : message
+}
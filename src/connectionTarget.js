@@ -0,0 +1,51 @@
+/**
+ * Resolve the URL and subprotocols to open a socket with. Called on every
+ * connect and reconnect, so providers can hand out fresh URLs and tokens.
+ *
+ * @param {string|Function} url - URL, or a function returning one or a promise of one
+ * @param {Object} options
+ * @param {string|string[]} options.protocol - WebSocket sub-protocol(s)
+ * @param {Function} options.token - Returns an auth token or a promise of one; empty values are skipped
+ * @param {string} options.tokenIn - 'query' to add the token to the URL, 'protocol' to append it to the subprotocols (default: 'query')
+ * @param {string} options.tokenParam - Query parameter name for the token (default: 'token')
+ * @returns {Object|Promise<Object>} `{ url, protocols, baseUrl }`, a promise when a provider is async;
+ *   `baseUrl` is the URL before the token was added
+ */
+export function resolveTarget (url, { protocol, token, tokenIn = 'query', tokenParam = 'token' } = {}) {
+  const build = (resolvedUrl, resolvedToken) => buildTarget(resolvedUrl, resolvedToken, { protocol, tokenIn, tokenParam })
+
+  let urlValue
+  let tokenValue
+  try {
+    urlValue = typeof url === 'function' ? url() : url
+    tokenValue = token ? token() : undefined
+  } catch (e) {
+    return Promise.reject(e)
+  }
+
+  if (isPromise(urlValue) || isPromise(tokenValue)) {
+    return Promise.all([urlValue, tokenValue]).then(([resolvedUrl, resolvedToken]) => build(resolvedUrl, resolvedToken))
+  }
+  return build(urlValue, tokenValue)
+}
+
+export function isPromise (value) {
+  return !!value && typeof value.then === 'function'
+}
+
+function buildTarget (baseUrl, token, { protocol, tokenIn, tokenParam }) {
+  const protocols = protocol ? [].concat(protocol) : []
+  let url = baseUrl
+
+  if (token !== undefined && token !== null && token !== '') {
+    if (tokenIn === 'protocol') {
+      protocols.push(String(token))
+    } else {
+      const separator = url.includes('?') ? '&' : '?'
+      url = `${url}${separator}${encodeURIComponent(tokenParam)}=${encodeURIComponent(token)}`
+    }
+  }
+
+  // Keep a single protocol as a string, like the `protocol` option itself
+  return { url, protocols: protocols.length > 1 ? protocols : protocols[0], baseUrl }
+}
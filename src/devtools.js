@@ -0,0 +1,190 @@
+const INSPECTOR_ID = 'vue-native-socket'
+const TIMELINE_LAYER_ID = 'vue-native-socket:frames'
+
+const STATUS_COLORS = {
+  CONNECTED: 0x42b983,
+  CONNECTING: 0xff8c00,
+  ERROR: 0xd33a3a,
+  DISCONNECTED: 0x737373
+}
+
+const SOCKET_EVENT_TITLES = {
+  onopen: 'Open',
+  onclose: 'Close',
+  onerror: 'Error'
+}
+
+function describeFrame (data) {
+  if (typeof data === 'string') { return data }
+  if (data instanceof ArrayBuffer) { return `[ArrayBuffer ${data.byteLength} bytes]` }
+  if (ArrayBuffer.isView(data)) { return `[${data.constructor.name} ${data.byteLength} bytes]` }
+  if (typeof Blob !== 'undefined' && data instanceof Blob) { return `[Blob ${data.size} bytes]` }
+  return data
+}
+
+function preview (data) {
+  const text = typeof data === 'string' ? data : String(describeFrame(data))
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text
+}
+
+function componentName (vm) {
+  if (!vm) { return 'Global' }
+  const type = vm.$ && vm.$.type
+  return vm.$options.name || vm.$options.__name || (type && (type.name || type.__name)) || 'Anonymous Component'
+}
+
+/**
+ * Vue Devtools support for the plugin, enabled with the `devtools` option.
+ *
+ * Adds a "WebSocket" timeline layer with inbound and outbound frames,
+ * connection events, reconnects and store dispatches, and a "WebSockets"
+ * inspector listing each connection with its state, the components
+ * registered through `sockets` and the last store target. Observers report
+ * through the recorder returned by `connection()`, passed as `$devtools`.
+ *
+ * `@vue/devtools-api` is an optional peer dependency, imported only once
+ * the option is set; timeline events recorded before it loads are replayed.
+ */
+export function setupDevtools (app) {
+  const connections = new Map()
+  let api = null
+  // Timeline events recorded while the devtools API is still loading
+  let pending = []
+
+  const refresh = () => {
+    if (!api) { return }
+    api.sendInspectorTree(INSPECTOR_ID)
+    api.sendInspectorState(INSPECTOR_ID)
+  }
+
+  const addEvent = (name, event) => {
+    if (!api) {
+      if (pending) { pending.push(() => addEvent(name, event)) }
+      return
+    }
+    api.addTimelineEvent({
+      layerId: TIMELINE_LAYER_ID,
+      event: { time: api.now(), logType: 'default', ...event, data: { connection: name, ...event.data } }
+    })
+  }
+
+  const register = ({ setupDevtoolsPlugin }) => setupDevtoolsPlugin({
+    id: 'native-websocket-vue3',
+    label: 'Native WebSocket',
+    packageName: 'native-websocket-vue3',
+    homepage: 'https://github.com/uwejan/native-websocket-vue3',
+    app
+  }, (devtoolsApi) => {
+    api = devtoolsApi
+
+    api.addTimelineLayer({ id: TIMELINE_LAYER_ID, label: 'WebSocket', color: STATUS_COLORS.CONNECTED })
+    api.addInspector({ id: INSPECTOR_ID, label: 'WebSockets', icon: 'cable', treeFilterPlaceholder: 'Search connections' })
+
+    api.on.getInspectorTree((payload) => {
+      if (payload.inspectorId !== INSPECTOR_ID) { return }
+      payload.rootNodes = Array.from(connections.keys())
+        .filter((name) => !payload.filter || name.includes(payload.filter))
+        .map((name) => {
+          const observer = connections.get(name).observer()
+          const status = observer ? observer.state.status : 'DISCONNECTED'
+          return {
+            id: name,
+            label: name,
+            tags: [{ label: status.toLowerCase(), textColor: 0xffffff, backgroundColor: STATUS_COLORS[status] }]
+          }
+        })
+    })
+
+    api.on.getInspectorState((payload) => {
+      if (payload.inspectorId !== INSPECTOR_ID || !connections.has(payload.nodeId)) { return }
+      payload.state = inspect(connections.get(payload.nodeId))
+    })
+
+    if (pending) { pending.forEach((record) => record()) }
+    pending = null
+    refresh()
+  })
+
+  import('@vue/devtools-api').then((devtoolsApi) => {
+    register(devtoolsApi)
+    // Devtools that connect later only see events from then on
+    pending = null
+  }, (error) => {
+    pending = null
+    console.warn('[vue-native-socket] The devtools option requires @vue/devtools-api to be installed', error)
+  })
+
+  const inspect = ({ observer: getObserver, emitter, lastDispatch }) => {
+    const observer = getObserver()
+    const socket = observer && observer.WebSocket
+    const state = observer ? observer.state : {}
+    const handlers = Array.from(emitter.listeners.entries())
+      .filter(([, listeners]) => listeners.length)
+      .map(([label, listeners]) => ({ key: String(label), value: listeners.map((listener) => componentName(listener.vm)) }))
+
+    return {
+      connection: [
+        { key: 'url', value: socket ? socket.url : (observer && typeof observer.connectionUrl === 'string' ? observer.connectionUrl : null) },
+        { key: 'readyState', value: socket ? socket.readyState : null },
+        { key: 'transport', value: observer && observer.transport ? observer.transport.name : 'websocket' },
+        { key: 'queued', value: observer && observer.queue ? observer.queue.size.value : 0 }
+      ],
+      state: Object.keys(state).map((key) => ({ key, value: state[key] })),
+      'sockets handlers': handlers,
+      store: [{ key: 'last dispatch', value: lastDispatch }]
+    }
+  }
+
+  return {
+    /**
+     * Register a connection and get the recorder its Observer reports to.
+     *
+     * @param {string} name - Inspector label, 'default' for the main connection
+     * @param {Object} source
+     * @param {Function} source.observer - Returns the current Observer, which `$connect` may replace
+     * @param {Object} source.emitter - Emitter holding the `sockets` handlers of this connection
+     */
+    connection (name, { observer, emitter }) {
+      const entry = { observer, emitter, lastDispatch: null }
+      connections.set(name, entry)
+      refresh()
+
+      return {
+        socketEvent (eventType, event) {
+          if (eventType === 'onmessage') {
+            this.frame('in', event.data)
+            return
+          }
+          const data = eventType === 'onclose' ? { code: event.code, reason: event.reason, wasClean: event.wasClean } : {}
+          addEvent(name, {
+            title: SOCKET_EVENT_TITLES[eventType],
+            subtitle: name,
+            logType: eventType === 'onerror' || (eventType === 'onclose' && event.wasClean === false) ? 'error' : 'default',
+            data
+          })
+          refresh()
+        },
+        frame (direction, data) {
+          addEvent(name, {
+            title: direction === 'in' ? 'Received' : 'Sent',
+            subtitle: preview(data),
+            data: { direction, frame: describeFrame(data) }
+          })
+        },
+        reconnect (attempt) {
+          addEvent(name, { title: 'Reconnect', subtitle: `attempt ${attempt}`, logType: 'warning', data: { attempt } })
+          refresh()
+        },
+        error (title, error) {
+          addEvent(name, { title, subtitle: name, logType: 'error', data: { error } })
+          refresh()
+        },
+        dispatched ({ store, method, target, message }) {
+          entry.lastDispatch = { store, method, target }
+          addEvent(name, { title: `${store} ${method}`, subtitle: target, data: { store, method, target, message } })
+          refresh()
+        }
+      }
+    }
+  }
+}
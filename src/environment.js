@@ -0,0 +1,8 @@
+/**
+ * Whether the code runs in a browser. During server-side rendering neither
+ * the plugin nor `useWebSocket` open sockets or start timers; they connect
+ * once the app runs on the client.
+ */
+export function isBrowser () {
+  return typeof window !== 'undefined' && typeof document !== 'undefined'
+}
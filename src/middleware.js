@@ -0,0 +1,59 @@
+/**
+ * Build the pipeline for one direction ('inbound' or 'outbound') of the
+ * `middleware` option, an ordered array of `{ inbound?, outbound? }` objects.
+ *
+ * Each handler is called as `handler(data, next)` and passes the frame on by
+ * calling `next()` or `next(newData)`, now or later. Not calling `next` drops
+ * the frame. Thrown errors and rejected promises drop the frame and are
+ * reported to `onError`.
+ *
+ * @returns {Function|null} `(data, done)` runner, or null without handlers
+ */
+export function createPipeline (middleware, direction, onError = reportError) {
+  const handlers = (middleware || [])
+    .map((entry) => entry && entry[direction])
+    .filter((handler) => typeof handler === 'function')
+
+  if (!handlers.length) { return null }
+
+  return (data, done) => {
+    const run = (index, value) => {
+      if (index === handlers.length) { return done(value) }
+
+      let called = false
+      const next = (...args) => {
+        if (called) { return }
+        called = true
+        run(index + 1, args.length ? args[0] : value)
+      }
+
+      try {
+        const result = handlers[index](value, next)
+        if (result && typeof result.then === 'function') { result.then(null, onError) }
+      } catch (e) {
+        onError(e)
+      }
+    }
+
+    run(0, data)
+  }
+}
+
+/**
+ * Copy of a MessageEvent carrying transformed `data`.
+ */
+export function withData (event, data) {
+  return {
+    type: event.type,
+    origin: event.origin,
+    lastEventId: event.lastEventId,
+    target: event.target,
+    currentTarget: event.currentTarget,
+    timeStamp: event.timeStamp,
+    data
+  }
+}
+
+function reportError (error) {
+  console.error('[vue-native-socket] Middleware error', error)
+}
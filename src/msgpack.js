@@ -0,0 +1,232 @@
+/**
+ * Minimal MessagePack encoder/decoder (https://msgpack.org/) covering nil,
+ * booleans, numbers, strings, binary, arrays, maps and the timestamp
+ * extension. Other extension types decode to `{ type, data }`.
+ */
+
+const textEncoder = new TextEncoder()
+const textDecoder = new TextDecoder()
+
+class Writer {
+  constructor () {
+    this.bytes = new Uint8Array(64)
+    this.view = new DataView(this.bytes.buffer)
+    this.length = 0
+  }
+
+  ensure (size) {
+    if (this.length + size <= this.bytes.length) { return }
+    const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + size))
+    bytes.set(this.bytes)
+    this.bytes = bytes
+    this.view = new DataView(bytes.buffer)
+  }
+
+  u8 (value) { this.ensure(1); this.view.setUint8(this.length, value); this.length += 1 }
+  u16 (value) { this.ensure(2); this.view.setUint16(this.length, value); this.length += 2 }
+  u32 (value) { this.ensure(4); this.view.setUint32(this.length, value); this.length += 4 }
+  i8 (value) { this.ensure(1); this.view.setInt8(this.length, value); this.length += 1 }
+  i16 (value) { this.ensure(2); this.view.setInt16(this.length, value); this.length += 2 }
+  i32 (value) { this.ensure(4); this.view.setInt32(this.length, value); this.length += 4 }
+  f64 (value) { this.ensure(8); this.view.setFloat64(this.length, value); this.length += 8 }
+
+  raw (bytes) {
+    this.ensure(bytes.length)
+    this.bytes.set(bytes, this.length)
+    this.length += bytes.length
+  }
+
+  header (size, fix, fixMax, [c8, c16, c32]) {
+    if (size <= fixMax) {
+      this.u8(fix | size)
+    } else if (c8 !== undefined && size < 0x100) {
+      this.u8(c8); this.u8(size)
+    } else if (size < 0x10000) {
+      this.u8(c16); this.u16(size)
+    } else {
+      this.u8(c32); this.u32(size)
+    }
+  }
+
+  value (value) {
+    if (value === null || value === undefined) {
+      this.u8(0xc0)
+    } else if (value === false || value === true) {
+      this.u8(value ? 0xc3 : 0xc2)
+    } else if (typeof value === 'number') {
+      this.number(value)
+    } else if (typeof value === 'bigint') {
+      this.u8(0xd3); this.ensure(8); this.view.setBigInt64(this.length, value); this.length += 8
+    } else if (typeof value === 'string') {
+      const bytes = textEncoder.encode(value)
+      this.header(bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb])
+      this.raw(bytes)
+    } else if (value instanceof Date) {
+      this.timestamp(value)
+    } else if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      const bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+      this.header(bytes.length, 0, -1, [0xc4, 0xc5, 0xc6])
+      this.raw(bytes)
+    } else if (Array.isArray(value)) {
+      this.header(value.length, 0x90, 15, [undefined, 0xdc, 0xdd])
+      value.forEach((item) => this.value(item))
+    } else if (typeof value === 'object') {
+      const keys = Object.keys(value).filter((key) => value[key] !== undefined)
+      this.header(keys.length, 0x80, 15, [undefined, 0xde, 0xdf])
+      keys.forEach((key) => { this.value(key); this.value(value[key]) })
+    } else {
+      throw new TypeError(`[vue-native-socket] Cannot encode ${typeof value} as MessagePack`)
+    }
+  }
+
+  number (value) {
+    if (!Number.isInteger(value) || value > 0xffffffff || value < -0x80000000) {
+      this.u8(0xcb); this.f64(value)
+    } else if (value >= 0) {
+      if (value < 0x80) { this.u8(value) } else if (value < 0x100) { this.u8(0xcc); this.u8(value) } else if (value < 0x10000) { this.u8(0xcd); this.u16(value) } else { this.u8(0xce); this.u32(value) }
+    } else {
+      if (value >= -0x20) { this.i8(value) } else if (value >= -0x80) { this.u8(0xd0); this.i8(value) } else if (value >= -0x8000) { this.u8(0xd1); this.i16(value) } else { this.u8(0xd2); this.i32(value) }
+    }
+  }
+
+  timestamp (date) {
+    const ms = date.getTime()
+    const seconds = Math.floor(ms / 1000)
+    const nanoseconds = (ms - seconds * 1000) * 1e6
+    // timestamp 96: ext8, 12 bytes, type -1
+    this.u8(0xc7); this.u8(12); this.i8(-1)
+    this.u32(nanoseconds)
+    this.ensure(8); this.view.setBigInt64(this.length, BigInt(seconds)); this.length += 8
+  }
+}
+
+class Reader {
+  constructor (bytes) {
+    this.bytes = bytes
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    this.offset = 0
+  }
+
+  take (size) {
+    if (this.offset + size > this.bytes.length) { throw new RangeError('[vue-native-socket] Truncated MessagePack data') }
+    const offset = this.offset
+    this.offset += size
+    return offset
+  }
+
+  u8 () { return this.view.getUint8(this.take(1)) }
+  u16 () { return this.view.getUint16(this.take(2)) }
+  u32 () { return this.view.getUint32(this.take(4)) }
+  i8 () { return this.view.getInt8(this.take(1)) }
+  i16 () { return this.view.getInt16(this.take(2)) }
+  i32 () { return this.view.getInt32(this.take(4)) }
+  u64 () { return Number(this.view.getBigUint64(this.take(8))) }
+  i64 () { return Number(this.view.getBigInt64(this.take(8))) }
+  f32 () { return this.view.getFloat32(this.take(4)) }
+  f64 () { return this.view.getFloat64(this.take(8)) }
+
+  bin (size) {
+    const offset = this.take(size)
+    return this.bytes.slice(offset, offset + size)
+  }
+
+  str (size) {
+    const offset = this.take(size)
+    return textDecoder.decode(this.bytes.subarray(offset, offset + size))
+  }
+
+  array (size) {
+    const result = new Array(size)
+    for (let i = 0; i < size; i++) { result[i] = this.value() }
+    return result
+  }
+
+  map (size) {
+    const result = {}
+    for (let i = 0; i < size; i++) {
+      const key = this.value()
+      // Define keys so a "__proto__" key stays data, as with JSON.parse
+      Object.defineProperty(result, key, { value: this.value(), enumerable: true, writable: true, configurable: true })
+    }
+    return result
+  }
+
+  ext (size) {
+    const type = this.i8()
+    const data = this.bin(size)
+    if (type !== -1) { return { type, data } }
+
+    const view = new DataView(data.buffer)
+    if (size === 4) { return new Date(view.getUint32(0) * 1000) }
+    if (size === 8) {
+      const high = view.getUint32(0)
+      const low = view.getUint32(4)
+      return new Date(((high & 0x3) * 0x100000000 + low) * 1000 + (high >>> 2) / 1e6)
+    }
+    return new Date(Number(view.getBigInt64(4)) * 1000 + view.getUint32(0) / 1e6)
+  }
+
+  value () {
+    const byte = this.u8()
+
+    if (byte < 0x80) { return byte }
+    if (byte < 0x90) { return this.map(byte & 0x0f) }
+    if (byte < 0xa0) { return this.array(byte & 0x0f) }
+    if (byte < 0xc0) { return this.str(byte & 0x1f) }
+    if (byte >= 0xe0) { return byte - 0x100 }
+
+    switch (byte) {
+      case 0xc0: return null
+      case 0xc2: return false
+      case 0xc3: return true
+      case 0xc4: return this.bin(this.u8())
+      case 0xc5: return this.bin(this.u16())
+      case 0xc6: return this.bin(this.u32())
+      case 0xc7: return this.ext(this.u8())
+      case 0xc8: return this.ext(this.u16())
+      case 0xc9: return this.ext(this.u32())
+      case 0xca: return this.f32()
+      case 0xcb: return this.f64()
+      case 0xcc: return this.u8()
+      case 0xcd: return this.u16()
+      case 0xce: return this.u32()
+      case 0xcf: return this.u64()
+      case 0xd0: return this.i8()
+      case 0xd1: return this.i16()
+      case 0xd2: return this.i32()
+      case 0xd3: return this.i64()
+      case 0xd4: return this.ext(1)
+      case 0xd5: return this.ext(2)
+      case 0xd6: return this.ext(4)
+      case 0xd7: return this.ext(8)
+      case 0xd8: return this.ext(16)
+      case 0xd9: return this.str(this.u8())
+      case 0xda: return this.str(this.u16())
+      case 0xdb: return this.str(this.u32())
+      case 0xdc: return this.array(this.u16())
+      case 0xdd: return this.array(this.u32())
+      case 0xde: return this.map(this.u16())
+      case 0xdf: return this.map(this.u32())
+      default: throw new TypeError(`[vue-native-socket] Invalid MessagePack byte 0x${byte.toString(16)}`)
+    }
+  }
+}
+
+/**
+ * @param {*} value - Value to encode
+ * @returns {Uint8Array}
+ */
+export function encode (value) {
+  const writer = new Writer()
+  writer.value(value)
+  return writer.bytes.slice(0, writer.length)
+}
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView} data - MessagePack bytes
+ * @returns {*}
+ */
+export function decode (data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  return new Reader(bytes).value()
+}
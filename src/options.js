@@ -0,0 +1,13 @@
+/**
+ * Turn a feature option shared by the plugin and the composable, such as
+ * `queue` or `heartbeat`, into its helper: a falsy option disables the
+ * feature, `true` uses the defaults and an object configures it.
+ *
+ * @param {boolean|Object} option
+ * @param {Function} Ctor - Helper class, called with the options and then `args`
+ * @returns {Object|null} The helper, or null when disabled
+ */
+export function normalizeOption (option, Ctor, ...args) {
+  if (!option) { return null }
+  return new Ctor(option === true ? {} : option, ...args)
+}
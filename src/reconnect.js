@@ -0,0 +1,19 @@
+/**
+ * Compute the delay before reconnection attempt `attempt` (1-based).
+ *
+ * A custom `strategy(attempt, closeEvent)` takes precedence and may return
+ * `false` to stop reconnecting. Otherwise the delay grows by `backoff` per
+ * attempt, is capped at `maxDelay`, and is reduced by up to `jitter` (0-1)
+ * of itself so clients that dropped together do not retry together.
+ *
+ * @returns {number|false} Delay in ms, or false to give up
+ */
+export function getReconnectDelay (attempt, closeEvent, { delay, backoff = 1, maxDelay = Infinity, jitter = 0, strategy }) {
+  if (typeof strategy === 'function') {
+    const result = strategy(attempt, closeEvent)
+    return result === false ? false : Math.max(0, Number(result) || 0)
+  }
+
+  const base = Math.min(delay * Math.pow(backoff, attempt - 1), maxDelay)
+  return jitter > 0 ? Math.round(base * (1 - Math.random() * jitter)) : base
+}
@@ -0,0 +1,276 @@
+/**
+ * In-memory WebSocket server for testing components that use `$socket`,
+ * `sockets` handlers or `useWebSocket`. Published as
+ * `native-websocket-vue3/testing`.
+ *
+ *   const server = new MockServer('ws://localhost:9090').install()
+ *   // ...mount the component, then
+ *   await server.connected()
+ *   server.send({ type: 'hello' })
+ *   expect(server.messages).toContain('{"type":"ping"}')
+ *   server.uninstall()
+ */
+
+import EventSocket, { CONNECTING, OPEN, CLOSING, CLOSED, createEvent } from './EventSocket'
+
+// Servers installed as the global WebSocket, see MockServer#install()
+const installed = new Set()
+let OriginalWebSocket
+
+function findServer (url) {
+  let fallback = null
+  for (const server of installed) {
+    if (server.url === url) { return server }
+    if (!server.url && !fallback) { fallback = server }
+  }
+  return fallback
+}
+
+function encodeFrame (data) {
+  if (typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data) || (typeof Blob !== 'undefined' && data instanceof Blob)) {
+    return data
+  }
+  return JSON.stringify(data)
+}
+
+/**
+ * Client side of a mock connection, a drop-in for the browser `WebSocket`.
+ * Sockets created by the global constructor attach to the installed server
+ * matching their URL; without one they fail like an unreachable host.
+ */
+export class MockWebSocket extends EventSocket {
+  constructor (url, protocols, server = findServer(String(url))) {
+    super(String(url))
+    this.protocols = [].concat(protocols || [])
+    this.binaryType = 'blob'
+    this.server = server
+    this.sent = []
+
+    if (server) {
+      server.connect(this)
+    } else {
+      setTimeout(() => this.fail(), 0)
+    }
+  }
+
+  transmit (data) {
+    this.sent.push(data)
+    this.server.schedule(() => this.server.receive(this, data))
+  }
+
+  close (code = 1000, reason = '') {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) { return }
+
+    const wasOpen = this.readyState === OPEN
+    this.readyState = CLOSING
+    const finish = () => this.closed({ code: wasOpen ? code : 1006, reason, wasClean: wasOpen })
+    if (this.server) { this.server.schedule(finish) } else { finish() }
+  }
+
+  closed (event) {
+    if (this.readyState === CLOSED) { return }
+    if (this.server) { this.server.detach(this) }
+    super.closed(event)
+  }
+}
+
+/**
+ * Controllable server end of mock connections.
+ *
+ * @param {string} url - Only accept sockets for this URL; omit to accept any
+ * @param {Object} options
+ * @param {boolean} options.autoAccept - Open new connections automatically (default: true)
+ * @param {number} options.latency - Delay in ms for opening, frames and closes in both directions (default: 0)
+ */
+export class MockServer {
+  constructor (url, { autoAccept = true, latency = 0 } = {}) {
+    this.url = url
+    this.autoAccept = autoAccept
+    this.latency = latency
+    this.clients = []
+    this.pending = []
+    this.messages = []
+    this.waiters = { connection: [], message: [] }
+    this.handlers = { connection: [], message: [], close: [] }
+  }
+
+  /**
+   * Replace the global `WebSocket` with `MockWebSocket` and route sockets
+   * for this server's URL to it. Several servers can be installed at once.
+   * @returns {MockServer} this
+   */
+  install () {
+    if (!installed.size) {
+      OriginalWebSocket = globalThis.WebSocket
+      globalThis.WebSocket = MockWebSocket
+    }
+    installed.add(this)
+    return this
+  }
+
+  /**
+   * Close every client and restore the global `WebSocket` once no server
+   * is installed.
+   */
+  uninstall () {
+    this.closeAll(1001, 'Server shutting down')
+    installed.delete(this)
+    if (!installed.size && globalThis.WebSocket === MockWebSocket) {
+      globalThis.WebSocket = OriginalWebSocket
+    }
+  }
+
+  /**
+   * Create a socket attached to this server without installing it, e.g. for
+   * the plugin's `WebSocket` option.
+   */
+  createSocket (url = this.url || 'ws://localhost', protocols) {
+    return new MockWebSocket(url, protocols, this)
+  }
+
+  get lastMessage () {
+    return this.messages[this.messages.length - 1]
+  }
+
+  /**
+   * Register a handler for 'connection' (socket), 'message' (data, socket)
+   * or 'close' (socket) and return a function that removes it.
+   */
+  on (type, handler) {
+    this.handlers[type].push(handler)
+    return () => {
+      this.handlers[type] = this.handlers[type].filter((h) => h !== handler)
+    }
+  }
+
+  /**
+   * @returns {Promise<MockWebSocket>} Resolves with the next opened client
+   */
+  connected () {
+    return new Promise((resolve) => this.waiters.connection.push(resolve))
+  }
+
+  /**
+   * @returns {Promise<*>} Resolves with the next frame a client sends
+   */
+  nextMessage () {
+    return new Promise((resolve) => this.waiters.message.push(resolve))
+  }
+
+  /**
+   * Open pending connections: the given socket, or all of them.
+   */
+  accept (socket) {
+    const sockets = socket ? [socket] : this.pending.slice()
+    sockets.forEach((client) => {
+      this.pending = this.pending.filter((s) => s !== client)
+      this.schedule(() => {
+        if (client.readyState !== CONNECTING) { return }
+        this.clients.push(client)
+        client.opened()
+        this.notify('connection', client)
+      })
+    })
+  }
+
+  /**
+   * Fail pending connections with an error and a close event.
+   */
+  refuse (socket, code = 1006, reason = '') {
+    const sockets = socket ? [socket] : this.pending.slice()
+    sockets.forEach((client) => {
+      this.pending = this.pending.filter((s) => s !== client)
+      this.schedule(() => client.fail(code, reason))
+    })
+  }
+
+  /**
+   * Push a frame to one client or to every open client. Strings and binary
+   * data are sent as is, other values as JSON.
+   */
+  send (data, socket) {
+    const frame = encodeFrame(data)
+    this.targets(socket).forEach((client) => this.schedule(() => client.receive(frame)))
+  }
+
+  /**
+   * Close one client or all of them from the server side.
+   */
+  close (code = 1000, reason = '', socket) {
+    this.targets(socket).forEach((client) => this.closeClient(client, code, reason))
+  }
+
+  /**
+   * Fire an error event on one client or all of them, without closing.
+   */
+  error (socket) {
+    this.targets(socket).forEach((client) => this.schedule(() => client.dispatchEvent(createEvent('error', client))))
+  }
+
+  /**
+   * Drop the connection of one client or all of them, as a network failure
+   * would: an error event followed by an unclean close (1006).
+   */
+  drop (socket) {
+    this.targets(socket).forEach((client) => this.schedule(() => client.fail()))
+  }
+
+  /**
+   * Forget recorded messages, e.g. between test steps.
+   */
+  clearMessages () {
+    this.messages = []
+    this.clients.forEach((client) => { client.sent = [] })
+  }
+
+  closeAll (code, reason) {
+    this.pending.forEach((client) => client.fail(code, reason))
+    this.pending = []
+    this.clients.slice().forEach((client) => client.closed({ code, reason, wasClean: true }))
+  }
+
+  closeClient (client, code, reason) {
+    client.readyState = CLOSING
+    this.schedule(() => client.closed({ code, reason, wasClean: code !== 1006 }))
+  }
+
+  targets (socket) {
+    return socket ? [socket] : this.clients.slice()
+  }
+
+  connect (socket) {
+    this.pending.push(socket)
+    // Opening is always asynchronous so handlers can be attached first
+    if (this.autoAccept) { setTimeout(() => this.accept(socket), 0) }
+  }
+
+  receive (socket, data) {
+    this.messages.push(data)
+    this.notify('message', data, socket)
+  }
+
+  detach (socket) {
+    const index = this.clients.indexOf(socket)
+    this.pending = this.pending.filter((s) => s !== socket)
+    if (index === -1) { return }
+    this.clients.splice(index, 1)
+    this.notify('close', socket)
+  }
+
+  notify (type, ...args) {
+    this.handlers[type].slice().forEach((handler) => handler(...args))
+    const waiters = this.waiters[type]
+    if (waiters) {
+      this.waiters[type] = []
+      waiters.forEach((resolve) => resolve(args[0]))
+    }
+  }
+
+  schedule (fn) {
+    if (this.latency > 0) {
+      setTimeout(fn, this.latency)
+    } else {
+      fn()
+    }
+  }
+}
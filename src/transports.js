@@ -0,0 +1,223 @@
+/**
+ * Fallback transports for networks that block WebSocket upgrades.
+ *
+ * `TransportSelector` opens a regular WebSocket first. When a transport fails
+ * `maxFailures` times in a row without ever opening, the next transport in
+ * `fallback` is used from then on. The HTTP transports behave like a
+ * WebSocket (readyState, on* handlers, `send`, `close`), so the plugin and
+ * the composable handle them exactly like a socket:
+ *
+ * - 'sse': inbound frames from an EventSource, outbound frames POSTed
+ * - 'polling': inbound frames from repeated long-polling GETs, outbound frames POSTed
+ *
+ * Every HTTP request carries a `sid` query parameter identifying the
+ * connection, so the server can match POSTs to the stream or poll, and the
+ * requested subprotocols comma-separated in `protocols`.
+ */
+
+import EventSocket, { CONNECTING, OPEN, CLOSING, CLOSED } from './EventSocket'
+import { normalizeOption } from './options'
+
+/**
+ * `ws://` and `wss://` URLs as `http://` and `https://`
+ */
+export function toHttpUrl (url) {
+  return String(url).replace(/^ws(s?):/i, 'http$1:')
+}
+
+function withParams (url, params) {
+  const query = Object.keys(params)
+    .filter((key) => params[key] !== undefined)
+    .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&')
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`
+}
+
+function resolveUrl (option, url) {
+  if (typeof option === 'function') { return option(url) }
+  return option || toHttpUrl(url)
+}
+
+/**
+ * Shared WebSocket surface of the HTTP transports. Subclasses call
+ * `opened()`, `receive(data)` and `fail()` as their channel progresses and
+ * implement `stop()` to end it.
+ */
+class HttpSocket extends EventSocket {
+  constructor (url, protocols, transport, { sendUrl, credentials = 'same-origin', headers = {} } = {}) {
+    super(url)
+    this.binaryType = 'blob'
+    this.transport = transport
+    this.sid = Math.random().toString(36).slice(2)
+    // HTTP has no subprotocol negotiation; pass them on so a token sent with
+    // `tokenIn: 'protocol'` still reaches the server
+    const requested = [].concat(protocols || [])
+    this.params = { transport, sid: this.sid, protocols: requested.length ? requested.join(',') : undefined }
+    this.sendUrl = withParams(resolveUrl(sendUrl, url), this.params)
+    this.credentials = credentials
+    this.headers = headers
+    this.sending = Promise.resolve()
+  }
+
+  request (url, init = {}) {
+    return fetch(url, { credentials: this.credentials, ...init, headers: { ...this.headers, ...init.headers } })
+  }
+
+  // POST one frame at a time so the server receives them in send order
+  transmit (data) {
+    const headers = typeof data === 'string' ? { 'Content-Type': 'text/plain;charset=UTF-8' } : {}
+    this.sending = this.sending.then(() => {
+      if (this.readyState !== OPEN) { return }
+      return this.request(this.sendUrl, { method: 'POST', body: data, headers }).then((response) => {
+        if (!response.ok) { throw new Error(`HTTP ${response.status}`) }
+      }).catch(() => {
+        // Like a WebSocket, a frame that cannot be delivered ends the connection
+        this.fail()
+      })
+    })
+  }
+
+  close (code = 1000, reason = '') {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) { return }
+    const wasOpen = this.readyState === OPEN
+    this.readyState = CLOSING
+    this.stop()
+    setTimeout(() => this.closed({ code: wasOpen ? code : 1006, reason, wasClean: wasOpen }), 0)
+  }
+
+  fail () {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) { return }
+    this.stop()
+    super.fail()
+  }
+}
+
+/**
+ * Server-Sent Events inbound, HTTP POST outbound.
+ *
+ * @param {Object} options
+ * @param {string|Function} options.sseUrl - EventSource URL, or (url) => URL (default: the URL over http(s))
+ * @param {string|Function} options.sendUrl - POST URL for sends, or (url) => URL (default: the URL over http(s))
+ */
+export class EventSourceSocket extends HttpSocket {
+  constructor (url, protocols, options = {}) {
+    super(url, protocols, 'sse', options)
+    const sseUrl = withParams(resolveUrl(options.sseUrl, url), this.params)
+    this.source = new EventSource(sseUrl, { withCredentials: this.credentials === 'include' })
+    this.source.onopen = () => this.opened()
+    this.source.onmessage = (event) => this.receive(event.data)
+    // EventSource retries on its own; leave reconnection to the owner instead
+    this.source.onerror = () => this.fail()
+  }
+
+  stop () {
+    this.source.onopen = this.source.onmessage = this.source.onerror = null
+    this.source.close()
+  }
+}
+
+/**
+ * Long-polling inbound, HTTP POST outbound. Each poll response with a body
+ * is one frame; 204 responses carry none. The connection opens with the
+ * first successful poll, so servers should answer it right away.
+ *
+ * @param {Object} options
+ * @param {string|Function} options.pollUrl - Polling URL, or (url) => URL (default: the URL over http(s))
+ * @param {string|Function} options.sendUrl - POST URL for sends, or (url) => URL (default: the URL over http(s))
+ * @param {number} options.pollInterval - Pause between polls in ms (default: 0)
+ */
+export class PollingSocket extends HttpSocket {
+  constructor (url, protocols, options = {}) {
+    super(url, protocols, 'polling', options)
+    this.pollUrl = withParams(resolveUrl(options.pollUrl, url), this.params)
+    this.pollInterval = options.pollInterval || 0
+    this.controller = null
+    this.pollTimeoutId = null
+    this.poll()
+  }
+
+  poll () {
+    this.pollTimeoutId = null
+    this.controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+    const init = this.controller ? { signal: this.controller.signal } : {}
+
+    this.request(this.pollUrl, init).then((response) => {
+      if (!response.ok) { throw new Error(`HTTP ${response.status}`) }
+      return response.status === 204 ? '' : response.text()
+    }).then((body) => {
+      if (this.readyState !== CONNECTING && this.readyState !== OPEN) { return }
+      this.opened()
+      if (body) { this.receive(body) }
+      // Handlers may have closed the socket
+      if (this.readyState === OPEN) {
+        this.pollTimeoutId = setTimeout(() => this.poll(), this.pollInterval)
+      }
+    }).catch(() => this.fail())
+  }
+
+  stop () {
+    clearTimeout(this.pollTimeoutId)
+    this.pollTimeoutId = null
+    if (this.controller) { this.controller.abort() }
+  }
+}
+
+const builtIn = {
+  sse: EventSourceSocket,
+  polling: PollingSocket
+}
+
+/**
+ * Picks the transport for each connection attempt and falls back after
+ * repeated upgrade failures. It never returns to an earlier transport.
+ */
+export class TransportSelector {
+  constructor ({ fallback = ['sse', 'polling'], maxFailures = 2, ...options } = {}) {
+    this.transports = ['websocket'].concat(fallback)
+    this.maxFailures = maxFailures
+    this.options = options
+    this.index = 0
+    this.failures = 0
+  }
+
+  get name () {
+    const transport = this.transports[this.index]
+    return typeof transport === 'string' ? transport : (transport.name || 'custom')
+  }
+
+  /**
+   * @param {Function} openWebSocket - (url, protocols) => socket for the 'websocket' transport
+   */
+  create (url, protocols, openWebSocket) {
+    const transport = this.transports[this.index]
+    let socket
+    if (transport === 'websocket') {
+      socket = openWebSocket(url, protocols)
+    } else {
+      const Transport = builtIn[transport] || transport
+      if (typeof Transport !== 'function') {
+        throw new Error(`[vue-native-socket] Unknown transport "${transport}"`)
+      }
+      socket = new Transport(url, protocols, this.options)
+    }
+
+    let opened = false
+    socket.addEventListener('open', () => {
+      opened = true
+      this.failures = 0
+    })
+    socket.addEventListener('close', () => {
+      if (opened) { return }
+      this.failures++
+      if (this.failures >= this.maxFailures && this.index < this.transports.length - 1) {
+        this.index++
+        this.failures = 0
+      }
+    })
+    return socket
+  }
+}
+
+export function createTransport (option) {
+  return normalizeOption(option, TransportSelector)
+}
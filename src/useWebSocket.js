@@ -1,26 +1,218 @@
-import { ref, shallowRef, onUnmounted, getCurrentInstance } from 'vue'
+import { ref, shallowRef, shallowReactive, isRef, watch, effectScope, onMounted, onUnmounted, getCurrentInstance } from 'vue'
+import { createQueue } from './MessageQueue'
+import { createHistory } from './MessageHistory'
+import { createStats } from './ConnectionStats'
+import { getReconnectDelay } from './reconnect'
+import { createHeartbeat } from './Heartbeat'
+import { createNetworkMonitor } from './NetworkMonitor'
+import RequestTracker from './RequestTracker'
+import Subscriptions from './Subscriptions'
+import { jsonCodec, resolveCodec, encodeMessage } from './codecs'
+import { createPipeline } from './middleware'
+import { resolveTarget, isPromise } from './connectionTarget'
+import { createTabSocket } from './CrossTab'
+import { createTransport } from './transports'
+import { isBrowser } from './environment'
+import { createValidator } from './validation'
 
 /**
  * Composition API composable for WebSocket connections.
  *
- * @param {string} url - WebSocket URL to connect to
+ * @param {string|Ref<string>|Function} url - WebSocket URL, a Ref that reconnects on change, or a function returning the URL (or a promise of it) on every connect
  * @param {Object} options - Configuration options
- * @param {boolean} options.autoConnect - Whether to connect immediately (default: true)
+ * @param {boolean} options.autoConnect - Whether to connect immediately, or once mounted when called in a component (default: true)
  * @param {boolean} options.autoReconnect - Whether to reconnect on disconnect (default: false)
  * @param {number} options.reconnectAttempts - Max reconnection attempts (default: Infinity)
  * @param {number} options.reconnectDelay - Delay between reconnect attempts in ms (default: 1000)
+ * @param {number} options.reconnectBackoff - Multiplier applied to the delay per attempt (default: 1)
+ * @param {number} options.reconnectDelayMax - Upper bound for the delay in ms (default: Infinity)
+ * @param {number} options.reconnectJitter - Random fraction (0-1) subtracted from each delay (default: 0)
+ * @param {Function} options.reconnectStrategy - (attempt, closeEvent) => delay in ms, or false to stop
  * @param {string} options.protocol - WebSocket sub-protocol
+ * @param {Function} options.token - Returns an auth token (or a promise of one) on every connect
+ * @param {string} options.tokenIn - 'query' or 'protocol': where the token goes (default: 'query')
+ * @param {string} options.tokenParam - Query parameter for the token (default: 'token')
  * @param {boolean} options.json - Whether to auto-parse/stringify JSON (default: false)
+ * @param {string|Object} options.codec - 'json', 'text', 'msgpack' or a custom { encode, decode } codec; overrides `json`
+ * @param {Function} options.reviver - `JSON.parse` reviver for the JSON codec, e.g. to revive dates
+ * @param {string} options.binaryType - WebSocket binaryType, defaults to the codec's
+ * @param {boolean|Object} options.network - Pause reconnection while offline and reconnect as soon as the network returns (default: false)
+ * @param {boolean|number} options.network.closeWhenHidden - Close the connection after the page is hidden this many ms (true: at once) and reopen it when visible (default: false)
+ * @param {boolean|Object} options.crossTab - Share one socket for this URL across browser tabs (default: false)
+ * @param {string} options.crossTab.name - Tabs using the same name share a socket (default: the URL)
+ * @param {boolean|Function|Object} options.stats - Track traffic and latency in `stats`; a function is called with periodic snapshots (default: false)
+ * @param {number} options.stats.interval - Snapshot interval for `onStats` and `uptime` in ms (default: 5000)
+ * @param {number} options.stats.samples - Latency samples averaged into `averageLatency` (default: 10)
+ * @param {Function} options.stats.onStats - Called with a plain snapshot every interval from `connect()` until `disconnect()`, reconnect gaps included
+ * @param {boolean|Object} options.transport - Fall back to HTTP transports when WebSocket upgrades keep failing (default: false)
+ * @param {Array} options.transport.fallback - Transports tried after WebSocket: 'sse', 'polling' or a constructor (default: ['sse', 'polling'])
+ * @param {number} options.transport.maxFailures - Consecutive failures before the next transport (default: 2)
+ * @param {boolean|Object} options.heartbeat - Ping on an interval and close the socket when no frame arrives (default: false)
+ * @param {number} options.heartbeat.interval - Ping interval in ms (default: 30000)
+ * @param {number} options.heartbeat.timeout - Max silence after a ping in ms (default: 10000)
+ * @param {string|Function} options.heartbeat.message - Ping frame, or a function returning it (default: 'ping')
+ * @param {string|Function} options.heartbeat.pong - Pong frame, or a predicate; pongs do not update data (default: 'pong')
+ * @param {Object} options.rpc - Request/response settings for `request()`
+ * @param {string} options.rpc.field - Correlation id field (default: 'id')
+ * @param {number} options.rpc.timeout - Default request timeout in ms (default: 10000)
+ * @param {boolean} options.rpc.intercept - Keep matched replies out of `data` (default: false)
+ * @param {Object} options.subscriptions - Topic protocol for `subscribe()`
+ * @param {Function} options.subscriptions.subscribe - topic => subscribe frame (default: { type: 'subscribe', topic })
+ * @param {Function} options.subscriptions.unsubscribe - topic => unsubscribe frame (default: { type: 'unsubscribe', topic })
+ * @param {Function} options.subscriptions.topic - message => topic it belongs to (default: msg.topic)
+ * @param {boolean|Object} options.queue - Buffer sends while not connected (default: false)
+ * @param {number} options.queue.maxSize - Max buffered messages (default: Infinity)
+ * @param {number} options.queue.ttl - Drop buffered messages older than this many ms (default: 0, never)
+ * @param {boolean|Object} options.history - Keep a log of recent messages in `history` (default: false)
+ * @param {number} options.history.maxLength - Max entries, oldest dropped first (default: 100)
+ * @param {Function} options.history.filter - (data, direction) => whether to record the message
+ * @param {Function} options.history.map - (data, direction) => value to record
+ * @param {boolean} options.history.outbound - Also record sent messages (default: false)
+ * @param {Array<Object>} options.middleware - Ordered `{ inbound, outbound }` handlers, each `(data, next) => void`, run on raw frames
+ * @param {Function|Object} options.validate - Validator `(message) => boolean`, or schemas keyed by message type with `'*'` as fallback; rejected messages never reach `data`
+ * @param {string} options.typeField - Field holding the message type for `validate` schemas (default: 'type')
+ * @param {Function} options.onInvalidMessage - (message, error) => void, called for messages rejected by `validate` (default: console.warn)
+ * @param {boolean} options.shared - Reuse one socket and its state across calls with the same URL and protocol (default: false)
  * @returns {Object} WebSocket reactive state and methods
  */
 export function useWebSocket(url, options = {}) {
+  const { autoConnect = true, shared = false } = options
+  // Shared connections are module state, which must not leak across
+  // requests on the server
+  const connection = shared && isBrowser()
+    ? acquireSharedConnection(url, options)
+    : createConnection(url, options)
+
+  // Auto-connect if enabled; components connect once mounted, so hydration
+  // sees the same DISCONNECTED state the server rendered
+  if (autoConnect) {
+    if (getCurrentInstance()) {
+      onMounted(() => connection.connect())
+    } else {
+      connection.connect()
+    }
+  }
+
+  // Cleanup on component unmount
+  if (getCurrentInstance()) {
+    onUnmounted(() => {
+      connection.disconnect()
+    })
+  }
+
+  return connection
+}
+
+// Shared connections by URL and protocol, see acquireSharedConnection()
+const sharedConnections = new Map()
+
+/**
+ * Wrap the shared connection for `url` in a per-consumer handle.
+ *
+ * The first consumer's options create the connection. Each handle holds one
+ * reference while connected; the socket is only closed when the last
+ * reference is released through `disconnect()` or unmount.
+ */
+function acquireSharedConnection(url, options) {
+  // Refs and functions are shared by identity
+  const key = typeof url === 'string' ? `${url}|${options.protocol || ''}` : url
+  let entry = sharedConnections.get(key)
+  if (!entry) {
+    // Detached so watching a Ref URL outlives the component that created it;
+    // stopped once the last reference is released
+    const scope = effectScope(true)
+    entry = { scope, connection: scope.run(() => createConnection(url, options)), refCount: 0 }
+    sharedConnections.set(key, entry)
+  }
+  let attached = false
+
+  function connect() {
+    if (!attached) {
+      attached = true
+      entry.refCount++
+      if (!entry.scope.active) {
+        reviveSharedConnection(entry, url)
+      }
+      if (!sharedConnections.has(key)) {
+        sharedConnections.set(key, entry)
+      }
+    }
+    entry.connection.connect()
+  }
+
+  function disconnect() {
+    if (!attached) {
+      return
+    }
+    attached = false
+    entry.refCount--
+    if (entry.refCount === 0) {
+      entry.connection.disconnect()
+      entry.scope.stop()
+      if (sharedConnections.get(key) === entry) {
+        sharedConnections.delete(key)
+      }
+    }
+  }
+
+  return {
+    ...entry.connection,
+    connect,
+    disconnect
+  }
+}
+
+/**
+ * Watch the Ref URL again for a released shared connection that one of its
+ * handles connects again, moving it to the new URL while it is active.
+ */
+function reviveSharedConnection(entry, url) {
+  entry.scope = effectScope(true)
+  if (!isRef(url)) {
+    return
+  }
+  const { connection } = entry
+  entry.scope.run(() => watch(url, () => {
+    if (connection.status.value !== 'DISCONNECTED') {
+      connection.disconnect()
+      connection.connect()
+    }
+  }))
+}
+
+/**
+ * Create the reactive state and methods behind a `useWebSocket` call.
+ */
+function createConnection(url, options) {
   const {
-    autoConnect = true,
     autoReconnect = false,
     reconnectAttempts = Infinity,
     reconnectDelay = 1000,
+    reconnectBackoff = 1,
+    reconnectDelayMax = Infinity,
+    reconnectJitter = 0,
+    reconnectStrategy,
     protocol = '',
-    json = false
+    token,
+    tokenIn,
+    tokenParam,
+    json = false,
+    reviver,
+    codec: codecOption,
+    binaryType,
+    queue: queueOption = false,
+    history: historyOption = false,
+    stats: statsOption = false,
+    heartbeat: heartbeatOption = false,
+    network: networkOption = false,
+    crossTab = false,
+    transport: transportOption = false,
+    rpc,
+    subscriptions: subscriptionsOption,
+    middleware,
+    validate,
+    typeField,
+    onInvalidMessage
   } = options
 
   // Reactive state
@@ -31,82 +223,331 @@ export function useWebSocket(url, options = {}) {
   const status = ref('DISCONNECTED') // DISCONNECTED, CONNECTING, CONNECTED, ERROR
 
   // Internal state
+  const codec = resolveCodec(codecOption || (json ? 'json' : null), { reviver })
+  const queue = createQueue(queueOption)
+  const queueSize = queue ? queue.size : ref(0)
+  const messageHistory = createHistory(historyOption)
+  const history = messageHistory ? messageHistory.entries : shallowReactive([])
+  const connectionStats = createStats(statsOption)
+  const stats = connectionStats ? connectionStats.values : null
+  const heartbeat = createHeartbeat(heartbeatOption, {
+    send: (payload) => sendPayload(payload),
+    onTimeout: () => ws.value?.close(4000, 'Heartbeat timeout'),
+    onPong: (rtt) => connectionStats?.latency(rtt)
+  })
+  const requests = new RequestTracker(rpc, {
+    onReply: (rtt) => connectionStats?.latency(rtt)
+  })
+  const inbound = createPipeline(middleware, 'inbound')
+  const outbound = createPipeline(middleware, 'outbound')
+  const validator = createValidator(validate, { typeField })
+  const subscriptions = new Subscriptions(subscriptionsOption, {
+    send: (frame) => sendPayload((codec || jsonCodec).encode(frame)),
+    isOpen: () => ws.value?.readyState === WebSocket.OPEN,
+    onError: (error, { label }) => console.error(`[useWebSocket] Error in "${String(label)}" subscription handler`, error)
+  })
   let reconnectCount = 0
   let reconnectTimeoutId = null
   let explicitClose = false
+  let connectAttempt = 0
+  let resolving = false
+  let waitingForNetwork = false
+  let suspended = false
+  const transport = createTransport(transportOption)
+  const network = createNetworkMonitor(networkOption, {
+    onResume: () => resume(),
+    onSuspend: () => suspend()
+  })
+
+  if (isRef(url)) {
+    watch(url, restart)
+  }
 
   /**
-     * Connect to the WebSocket server
+     * Connect to the WebSocket server. Does nothing during server-side rendering.
      */
   function connect() {
-    if (ws.value?.readyState === WebSocket.OPEN) {
+    if (!isBrowser()) {
+      return
+    }
+    if (resolving || ws.value?.readyState === WebSocket.OPEN || ws.value?.readyState === WebSocket.CONNECTING) {
       return
     }
 
     explicitClose = false
     status.value = 'CONNECTING'
+    if (network) {
+      network.start()
+    }
+    if (connectionStats) {
+      connectionStats.start()
+    }
+
+    const target = resolveTarget(isRef(url) ? () => url.value : url, { protocol, token, tokenIn, tokenParam })
+    if (!isPromise(target)) {
+      open(target)
+      return
+    }
+
+    const attempt = ++connectAttempt
+    resolving = true
+    target.then((resolved) => {
+      if (attempt === connectAttempt) {
+        resolving = false
+        open(resolved)
+      }
+    }, (e) => {
+      if (attempt === connectAttempt) {
+        resolving = false
+        error.value = e
+        status.value = 'ERROR'
+        scheduleReconnect()
+      }
+    })
+  }
 
+  /**
+     * Open a WebSocket, shared across tabs with the crossTab option
+     */
+  function openWebSocket(targetUrl, protocols, baseUrl) {
+    if (crossTab) {
+      return createTabSocket(targetUrl, protocols, crossTab, baseUrl)
+    }
+    return protocols
+      ? new WebSocket(targetUrl, protocols)
+      : new WebSocket(targetUrl)
+  }
+
+  /**
+     * Open a socket to a resolved URL and subprotocols
+     */
+  function open({ url: targetUrl, protocols, baseUrl }) {
+    let socket
     try {
-      ws.value = protocol
-        ? new WebSocket(url, protocol)
-        : new WebSocket(url)
+      socket = transport
+        ? transport.create(targetUrl, protocols, () => openWebSocket(targetUrl, protocols, baseUrl))
+        : openWebSocket(targetUrl, protocols, baseUrl)
     } catch (e) {
       error.value = e
       status.value = 'ERROR'
       return
     }
+    ws.value = socket
+    if (binaryType || codec?.binaryType) {
+      socket.binaryType = binaryType || codec.binaryType
+    }
 
-    ws.value.onopen = (_event) => {
+    // Events of a socket replaced by disconnect() and connect() are ignored
+    socket.onopen = (_event) => {
+      if (ws.value !== socket) {
+        return
+      }
       isConnected.value = true
       status.value = 'CONNECTED'
       error.value = null
       reconnectCount = 0
+      if (connectionStats) {
+        connectionStats.opened()
+      }
+
+      if (heartbeat) {
+        heartbeat.start()
+      }
+      subscriptions.replay()
+      if (queue) {
+        queue.flush((payload) => transmit(socket, payload))
+      }
     }
 
-    ws.value.onclose = (_event) => {
+    socket.onclose = (event) => {
+      if (ws.value !== socket) {
+        return
+      }
+      if (heartbeat) {
+        heartbeat.stop()
+      }
+      if (connectionStats) {
+        connectionStats.closed()
+      }
+      requests.rejectAll(new Error('[useWebSocket] Connection closed'))
       isConnected.value = false
       status.value = 'DISCONNECTED'
       ws.value = null
 
-      if (!explicitClose && autoReconnect && reconnectCount < reconnectAttempts) {
-        reconnectCount++
-        reconnectTimeoutId = setTimeout(() => {
-          connect()
-        }, reconnectDelay)
-      }
+      scheduleReconnect(event)
     }
 
-    ws.value.onerror = (event) => {
+    socket.onerror = (event) => {
+      if (ws.value !== socket) {
+        return
+      }
       error.value = event
       status.value = 'ERROR'
     }
 
-    ws.value.onmessage = (event) => {
-      if (json) {
-        try {
-          data.value = JSON.parse(event.data)
-        } catch {
-          // JSON parse failed, use raw data
-          data.value = event.data
-        }
+    socket.onmessage = (event) => {
+      if (ws.value !== socket) {
+        return
+      }
+      if (connectionStats) {
+        connectionStats.received(event.data)
+      }
+      if (heartbeat && heartbeat.received(event.data)) {
+        return
+      }
+      if (inbound) {
+        inbound(event.data, receive)
       } else {
-        data.value = event.data
+        receive(event.data)
       }
     }
   }
 
+  /**
+     * Reconnect after a close or a failed URL/token lookup, if enabled
+     */
+  function scheduleReconnect(event) {
+    if (explicitClose || !autoReconnect || reconnectCount >= reconnectAttempts) {
+      return
+    }
+    if (network && network.shouldWait()) {
+      waitingForNetwork = true
+      return
+    }
+    const delay = getReconnectDelay(reconnectCount + 1, event, {
+      delay: reconnectDelay,
+      backoff: reconnectBackoff,
+      maxDelay: reconnectDelayMax,
+      jitter: reconnectJitter,
+      strategy: reconnectStrategy
+    })
+    if (delay === false) {
+      return
+    }
+
+    reconnectCount++
+    reconnectTimeoutId = setTimeout(() => {
+      reconnectTimeoutId = null
+      if (network && network.shouldWait()) {
+        waitingForNetwork = true
+        return
+      }
+      if (connectionStats) {
+        connectionStats.reconnecting()
+      }
+      connect()
+    }, delay)
+  }
+
+  /**
+     * Reconnect right away when the network returns or the page is visible
+     * again, if a reconnect is pending or the connection was suspended
+     */
+  function resume() {
+    if (explicitClose || (!waitingForNetwork && !suspended && !reconnectTimeoutId)) {
+      return
+    }
+    if (reconnectTimeoutId) {
+      clearTimeout(reconnectTimeoutId)
+      reconnectTimeoutId = null
+    }
+    waitingForNetwork = false
+    suspended = false
+    connect()
+  }
+
+  /**
+     * Close an open connection while the page is hidden; resume() reopens it
+     */
+  function suspend() {
+    if (ws.value?.readyState !== WebSocket.OPEN) {
+      return
+    }
+    suspended = true
+    ws.value.close(1000, 'Page hidden')
+  }
+
+  /**
+     * Move an active connection to the current URL
+     */
+  function restart() {
+    if (explicitClose || (!ws.value && !resolving && !reconnectTimeoutId)) {
+      return
+    }
+    disconnect()
+    reconnectCount = 0
+    connect()
+  }
+
+  /**
+     * Handle an inbound frame that passed the middleware
+     */
+  function receive(raw) {
+    let message = raw
+    if (codec || requests.pending.size || subscriptions.size) {
+      try {
+        message = (codec || jsonCodec).decode(raw)
+      } catch {
+        // Decoding failed, use raw data
+      }
+    }
+
+    // Frames that fail to decode are checked raw, as they reach `data`
+    if (validator) {
+      const value = codec ? message : raw
+      const invalid = validator(value)
+      if (invalid) {
+        if (onInvalidMessage) {
+          onInvalidMessage(value, invalid)
+        } else {
+          console.warn('[useWebSocket] Invalid message dropped', invalid)
+        }
+        return
+      }
+    }
+
+    if (requests.resolve(message) && requests.intercept) {
+      return
+    }
+    data.value = codec ? message : raw
+    if (messageHistory) {
+      messageHistory.record('in', data.value)
+    }
+    if (subscriptions.size) {
+      subscriptions.dispatch(message)
+    }
+  }
+
   /**
      * Disconnect from the WebSocket server
      */
   function disconnect() {
     explicitClose = true
+    connectAttempt++
+    resolving = false
+    waitingForNetwork = false
+    suspended = false
+    if (network) {
+      network.stop()
+    }
+    if (connectionStats) {
+      connectionStats.stop()
+    }
+    if (heartbeat) {
+      heartbeat.stop()
+    }
     if (reconnectTimeoutId) {
       clearTimeout(reconnectTimeoutId)
       reconnectTimeoutId = null
     }
     if (ws.value) {
+      // Its late close event is ignored, so settle what it would have
       ws.value.close()
       ws.value = null
+      requests.rejectAll(new Error('[useWebSocket] Connection closed'))
+      if (connectionStats) {
+        connectionStats.closed()
+      }
     }
     isConnected.value = false
     status.value = 'DISCONNECTED'
@@ -114,32 +555,100 @@ export function useWebSocket(url, options = {}) {
 
   /**
      * Send data through the WebSocket
-     * @param {string|Object} message - Data to send
+     * @param {string|Object} message - Data to send, encoded with the codec
+     * @returns {boolean} Whether the message was sent or queued
      */
   function send(message) {
+    const sent = sendPayload(encodeMessage(codec, message))
+    if (sent && messageHistory) {
+      messageHistory.record('out', message)
+    }
+    return sent
+  }
+
+  /**
+     * Send an already encoded frame through the outbound middleware
+     */
+  function sendPayload(payload) {
+    if (!outbound) {
+      return deliver(payload)
+    }
+
+    let result = true
+    outbound(payload, (frame) => {
+      result = deliver(frame)
+    })
+    return result
+  }
+
+  /**
+     * Send a frame, or queue it while not connected
+     */
+  function deliver(payload) {
     if (!ws.value || ws.value.readyState !== WebSocket.OPEN) {
+      if (queue) {
+        return queue.push(payload)
+      }
       console.warn('[useWebSocket] Cannot send - WebSocket is not connected')
       return false
     }
 
-    const payload = json && typeof message === 'object'
-      ? JSON.stringify(message)
-      : message
-
-    ws.value.send(payload)
+    transmit(ws.value, payload)
     return true
   }
 
-  // Auto-connect if enabled
-  if (autoConnect) {
-    connect()
+  /**
+     * Write a frame to the socket
+     */
+  function transmit(socket, payload) {
+    socket.send(payload)
+    if (connectionStats) {
+      connectionStats.sent(payload)
+    }
   }
 
-  // Cleanup on component unmount
-  if (getCurrentInstance()) {
-    onUnmounted(() => {
-      disconnect()
-    })
+  /**
+     * Send a request and wait for the reply carrying the same correlation id.
+     * Encoded with the codec, or JSON if none is set
+     * @param {Object} payload - Request body, stamped with the correlation field
+     * @param {Object} requestOptions - Per-request settings
+     * @param {number} requestOptions.timeout - Reject after this many ms (default: rpc.timeout)
+     * @returns {Promise<Object>} Resolves with the parsed reply
+     */
+  function request(payload, requestOptions) {
+    const { message, promise } = requests.create(payload, requestOptions)
+    const sent = sendPayload((codec || jsonCodec).encode(message))
+    if (!sent) {
+      requests.reject(message[requests.field], new Error('[useWebSocket] Cannot send - WebSocket is not connected'))
+    } else if (messageHistory) {
+      messageHistory.record('out', message)
+    }
+    return promise
+  }
+
+  /**
+     * Subscribe to a topic. The subscribe frame is replayed on every reconnect
+     * and the unsubscribe frame is sent when the last handler is removed.
+     * Called during component setup, the handler is removed on unmount.
+     * @param {string} topic - Topic name
+     * @param {Function} handler - Called with each decoded message for the topic
+     * @returns {Function} Removes the handler
+     */
+  function subscribe(topic, handler) {
+    const unsubscribe = subscriptions.add(topic, handler)
+    if (getCurrentInstance()) {
+      onUnmounted(unsubscribe)
+    }
+    return unsubscribe
+  }
+
+  /**
+     * Remove all entries from `history`
+     */
+  function clearHistory() {
+    if (messageHistory) {
+      messageHistory.clear()
+    }
   }
 
   return {
@@ -149,10 +658,16 @@ export function useWebSocket(url, options = {}) {
     error,
     status,
     isConnected,
+    queueSize,
+    history,
+    stats,
 
     // Methods
     connect,
     disconnect,
-    send
+    send,
+    request,
+    subscribe,
+    clearHistory
   }
 }
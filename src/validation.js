@@ -0,0 +1,54 @@
+/**
+ * Build the inbound check of the `validate` option.
+ *
+ * `validate` is either a function called with every decoded message, or a
+ * map of schemas keyed by the message's `typeField` value, with `'*'` for
+ * types not listed. Messages of other types pass. A schema is a function, an
+ * object with a throwing `parse()` (e.g. zod), or a plain object mapping
+ * field names to the `typeof` they must have; a field type ending in `?`
+ * also allows the field to be missing.
+ *
+ * Functions accept a message by returning a truthy value; a falsy return or
+ * a thrown error rejects it.
+ *
+ * @returns {Function|null} `(message) => Error|null`, or null without `validate`
+ */
+export function createValidator (validate, { typeField = 'type' } = {}) {
+  if (!validate) { return null }
+  if (typeof validate === 'function') { return (message) => check(validate, message) }
+
+  return (message) => {
+    const type = message && typeof message === 'object' ? message[typeField] : undefined
+    const schema = Object.prototype.hasOwnProperty.call(validate, type) ? validate[type] : validate['*']
+    return schema ? check(schema, message) : null
+  }
+}
+
+function check (schema, message) {
+  try {
+    if (typeof schema === 'function') {
+      return schema(message) ? null : new Error('[vue-native-socket] Message rejected by validator')
+    }
+    if (typeof schema.parse === 'function') {
+      schema.parse(message)
+      return null
+    }
+    return checkFields(schema, message)
+  } catch (e) {
+    return e instanceof Error ? e : new Error(String(e))
+  }
+}
+
+function checkFields (fields, message) {
+  if (!message || typeof message !== 'object') {
+    return new Error('[vue-native-socket] Expected an object message')
+  }
+  const field = Object.keys(fields).find((key) => {
+    const expected = fields[key]
+    const optional = expected.endsWith('?')
+    if (optional && message[key] === undefined) { return false }
+    const actual = Array.isArray(message[key]) ? 'array' : typeof message[key]
+    return actual !== (optional ? expected.slice(0, -1) : expected)
+  })
+  return field ? new Error(`[vue-native-socket] Invalid message field "${field}", expected ${fields[field]}`) : null
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { isReactive } from 'vue'
+import ConnectionStats, { createStats, frameSize } from '../src/ConnectionStats'
+
+describe('ConnectionStats', () => {
+    beforeEach(() => {
+        vi.useFakeTimers()
+        vi.setSystemTime(1000)
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+    })
+
+    it('should measure frames in bytes', () => {
+        expect(frameSize('abc')).toBe(3)
+        expect(frameSize('é')).toBe(2)
+        expect(frameSize(new ArrayBuffer(8))).toBe(8)
+        expect(frameSize(new Uint8Array(4))).toBe(4)
+        expect(frameSize(new Blob(['12345']))).toBe(5)
+    })
+
+    it('should count messages and bytes in both directions', () => {
+        const stats = new ConnectionStats()
+
+        stats.received('hello')
+        stats.received('hi')
+        stats.sent('ping')
+
+        expect(isReactive(stats.values)).toBe(true)
+        expect(stats.values).toMatchObject({ messagesIn: 2, bytesIn: 7, messagesOut: 1, bytesOut: 4, lastMessageAt: 1000 })
+    })
+
+    it('should track uptime of the current connection and reconnects', () => {
+        const stats = new ConnectionStats()
+
+        stats.opened()
+        vi.advanceTimersByTime(250)
+        stats.received('x')
+        expect(stats.values.uptime).toBe(250)
+
+        stats.closed()
+        stats.reconnecting()
+        expect(stats.values).toMatchObject({ uptime: 0, connectedAt: null, reconnects: 1 })
+    })
+
+    it('should keep the last and average latency over recent samples', () => {
+        const stats = new ConnectionStats({ samples: 2 })
+
+        stats.latency(10)
+        stats.latency(20)
+        stats.latency(40)
+
+        expect(stats.values.latency).toBe(40)
+        expect(stats.values.averageLatency).toBe(30)
+    })
+
+    it('should report snapshots every interval while started', () => {
+        const onStats = vi.fn()
+        const stats = new ConnectionStats({ interval: 100, onStats })
+
+        stats.start()
+        stats.opened()
+        stats.received('abc')
+        vi.advanceTimersByTime(100)
+
+        expect(onStats).toHaveBeenCalledWith(expect.objectContaining({ messagesIn: 1, bytesIn: 3, uptime: 100, timestamp: 1100 }))
+        expect(isReactive(onStats.mock.calls[0][0])).toBe(false)
+
+        stats.stop()
+        vi.advanceTimersByTime(500)
+        expect(onStats).toHaveBeenCalledTimes(1)
+    })
+
+    describe('createStats', () => {
+        it('should be disabled unless configured', () => {
+            expect(createStats(false)).toBeNull()
+            expect(createStats(true)).toBeInstanceOf(ConnectionStats)
+        })
+
+        it('should accept an onStats function', () => {
+            const onStats = vi.fn()
+
+            expect(createStats(onStats).onStats).toBe(onStats)
+            expect(createStats({ interval: 50 }).interval).toBe(50)
+        })
+    })
+})
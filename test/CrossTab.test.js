@@ -0,0 +1,280 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { TabHub, TabSocket, createTabSocket } from '../src/CrossTab'
+import { MockServer, MockWebSocket } from '../src/testing'
+import Observer from '../src/Observer'
+import { useWebSocket } from '../src/useWebSocket'
+
+// In-memory BroadcastChannel: each instance stands in for one tab
+class FakeChannel {
+    constructor(name) {
+        this.name = name
+        this.onmessage = null
+        FakeChannel.channels.push(this)
+    }
+
+    postMessage(data) {
+        FakeChannel.channels
+            .filter((channel) => channel !== this && channel.name === this.name)
+            .forEach((channel) => setTimeout(() => channel.onmessage && channel.onmessage({ data: { ...data } }), 0))
+    }
+
+    close() {
+        FakeChannel.channels = FakeChannel.channels.filter((channel) => channel !== this)
+    }
+}
+FakeChannel.channels = []
+
+// Web Locks stand-in granting one exclusive lock per name at a time
+function createLocks() {
+    const held = new Set()
+    const waiting = []
+    const grant = () => {
+        waiting.slice().forEach((entry) => {
+            if (held.has(entry.name)) { return }
+            waiting.splice(waiting.indexOf(entry), 1)
+            held.add(entry.name)
+            Promise.resolve(entry.callback()).then(() => {
+                held.delete(entry.name)
+                grant()
+            })
+        })
+    }
+    return {
+        request(name, callback) {
+            waiting.push({ name, callback })
+            grant()
+        }
+    }
+}
+
+describe('CrossTab', () => {
+    let server
+    let hubs
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        vi.stubGlobal('BroadcastChannel', FakeChannel)
+        FakeChannel.channels = []
+        server = new MockServer('ws://localhost:9090').install()
+        hubs = []
+    })
+
+    afterEach(() => {
+        hubs.forEach((hub) => hub.destroy())
+        server.uninstall()
+        vi.unstubAllGlobals()
+        vi.useRealTimers()
+    })
+
+    const flush = () => vi.advanceTimersByTimeAsync(10)
+
+    const createTabs = (count, options) => {
+        for (let i = 0; i < count; i++) {
+            hubs.push(new TabHub('feed', options))
+        }
+        return hubs
+    }
+
+    it('should open a single real socket for all tabs', async () => {
+        const locks = createLocks()
+        const [leader, follower] = createTabs(2, { locks })
+        await flush()
+
+        const first = new TabSocket('ws://localhost:9090', undefined, leader)
+        const second = new TabSocket('ws://localhost:9090', undefined, follower)
+        await flush()
+        await flush()
+
+        expect(leader.isLeader).toBe(true)
+        expect(follower.isLeader).toBe(false)
+        expect(server.clients).toHaveLength(1)
+        expect(first.readyState).toBe(TabSocket.OPEN)
+        expect(second.readyState).toBe(TabSocket.OPEN)
+    })
+
+    it('should relay inbound frames and forward sends from other tabs', async () => {
+        const [leader, follower] = createTabs(2, { locks: createLocks() })
+        await flush()
+        const first = new TabSocket('ws://localhost:9090', undefined, leader)
+        const second = new TabSocket('ws://localhost:9090', undefined, follower)
+        await flush()
+        await flush()
+        const onmessage = vi.fn()
+        second.onmessage = onmessage
+
+        server.send('hello')
+        await flush()
+        second.send('from follower')
+        first.send('from leader')
+        await flush()
+
+        expect(onmessage).toHaveBeenCalledWith(expect.objectContaining({ data: 'hello' }))
+        expect(server.messages).toEqual(['from leader', 'from follower'])
+    })
+
+    it('should close the real socket once no tab uses it', async () => {
+        const [leader, follower] = createTabs(2, { locks: createLocks() })
+        await flush()
+        const first = new TabSocket('ws://localhost:9090', undefined, leader)
+        const second = new TabSocket('ws://localhost:9090', undefined, follower)
+        await flush()
+        await flush()
+
+        first.close()
+        await flush()
+        expect(server.clients).toHaveLength(1)
+
+        second.close()
+        await flush()
+        await flush()
+        expect(server.clients).toHaveLength(0)
+        expect(second.readyState).toBe(TabSocket.CLOSED)
+    })
+
+    it('should pass server closes on to every tab', async () => {
+        const [leader, follower] = createTabs(2, { locks: createLocks() })
+        await flush()
+        new TabSocket('ws://localhost:9090', undefined, leader)
+        const second = new TabSocket('ws://localhost:9090', undefined, follower)
+        const onclose = vi.fn()
+        second.onclose = onclose
+        await flush()
+        await flush()
+
+        server.close(4000, 'Bye')
+        await flush()
+
+        expect(onclose).toHaveBeenCalledWith(expect.objectContaining({ code: 4000, reason: 'Bye' }))
+    })
+
+    it('should hand the connection over when the leader tab goes away', async () => {
+        const [leader, follower] = createTabs(2, { locks: createLocks() })
+        await flush()
+        new TabSocket('ws://localhost:9090', undefined, leader)
+        const second = new TabSocket('ws://localhost:9090', undefined, follower)
+        const onclose = vi.fn()
+        second.onclose = onclose
+        await flush()
+        await flush()
+
+        leader.destroy()
+        hubs.splice(hubs.indexOf(leader), 1)
+        await flush()
+        await flush()
+
+        expect(follower.isLeader).toBe(true)
+        expect(onclose).toHaveBeenCalledWith(expect.objectContaining({ code: 1006, reason: 'Leader changed' }))
+
+        const reconnected = new TabSocket('ws://localhost:9090', undefined, follower)
+        await flush()
+        expect(reconnected.readyState).toBe(TabSocket.OPEN)
+        expect(server.clients).toHaveLength(1)
+    })
+
+    it('should elect a leader with heartbeats without Web Locks', async () => {
+        const [first, second] = createTabs(2, { locks: null, heartbeatInterval: 100, leaderTimeout: 300 })
+        const socket = new TabSocket('ws://localhost:9090', undefined, second)
+
+        await vi.advanceTimersByTimeAsync(101)
+        await flush()
+        await flush()
+
+        expect([first, second].filter((hub) => hub.isLeader)).toHaveLength(1)
+        expect(socket.readyState).toBe(TabSocket.OPEN)
+        expect(server.clients).toHaveLength(1)
+
+        // The other tab takes over after the leader stops sending heartbeats
+        const leader = first.isLeader ? first : second
+        const other = leader === first ? second : first
+        leader.destroy()
+        hubs.splice(hubs.indexOf(leader), 1)
+        await vi.advanceTimersByTimeAsync(401)
+
+        expect(other.isLeader).toBe(true)
+    })
+
+    it('should fall back to a plain WebSocket without BroadcastChannel', () => {
+        vi.stubGlobal('BroadcastChannel', undefined)
+
+        const socket = createTabSocket('ws://localhost:9090', undefined, true)
+
+        expect(socket).toBeInstanceOf(MockWebSocket)
+        socket.close()
+    })
+
+    it('should share a hub per name within a tab', () => {
+        const first = createTabSocket('ws://localhost:9090', undefined, { name: 'shared', locks: null })
+        const second = createTabSocket('ws://localhost:9090', undefined, { name: 'shared', locks: null })
+        hubs.push(first.hub)
+
+        expect(first.hub).toBe(second.hub)
+    })
+
+    it('should share a hub across tokens and destroy it once unused', async () => {
+        const first = createTabSocket('ws://localhost:9090?token=a', undefined, { locks: null }, 'ws://localhost:9090')
+        const second = createTabSocket('ws://localhost:9090?token=b', undefined, { locks: null }, 'ws://localhost:9090')
+        const hub = first.hub
+
+        expect(second.hub).toBe(hub)
+        expect(hub.url).toBe('ws://localhost:9090?token=b')
+
+        first.close()
+        await flush()
+        expect(hub.destroyed).toBe(false)
+
+        second.close()
+        await flush()
+        expect(hub.destroyed).toBe(true)
+
+        const third = createTabSocket('ws://localhost:9090?token=c', undefined, { locks: null }, 'ws://localhost:9090')
+        hubs.push(third.hub)
+        expect(third.hub).not.toBe(hub)
+    })
+
+    it('should connect useWebSocket through the shared socket', async () => {
+        const locks = createLocks()
+        const other = createTabs(1, { locks })[0]
+        await flush()
+        new TabSocket('ws://localhost:9090', undefined, other)
+        await flush()
+
+        const { status, data, send, disconnect, ws } = useWebSocket('ws://localhost:9090', { crossTab: { name: 'feed', locks } })
+        hubs.push(ws.value.hub)
+        await flush()
+        await flush()
+
+        expect(ws.value).toBeInstanceOf(TabSocket)
+        expect(status.value).toBe('CONNECTED')
+        expect(server.clients).toHaveLength(1)
+
+        server.send('update')
+        await flush()
+        expect(data.value).toBe('update')
+
+        send('hi')
+        await flush()
+        expect(server.lastMessage).toBe('hi')
+        disconnect()
+    })
+    it('should connect the plugin observer through the shared socket', async () => {
+        const locks = createLocks()
+        const other = createTabs(1, { locks })[0]
+        await flush()
+        new TabSocket('ws://localhost:9090', undefined, other)
+        await flush()
+        const store = { commit: vi.fn() }
+
+        const observer = new Observer('ws://localhost:9090', { format: 'json', store, crossTab: { name: 'feed', locks } })
+        hubs.push(observer.WebSocket.hub)
+        await flush()
+        await flush()
+        server.send({ mutation: 'setGreeting', text: 'hi' })
+        await flush()
+
+        expect(observer.WebSocket).toBeInstanceOf(TabSocket)
+        expect(observer.state.status).toBe('CONNECTED')
+        expect(server.clients).toHaveLength(1)
+        expect(store.commit).toHaveBeenCalledWith('setGreeting', { mutation: 'setGreeting', text: 'hi' })
+        observer.WebSocket.close()
+    })
+})
@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach } from 'vitest'
-import Emitter from '../src/Emitter'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import Emitter, { createEmitter } from '../src/Emitter'
 
 describe('Emitter', () => {
     beforeEach(() => {
@@ -111,4 +111,144 @@ describe('Emitter', () => {
             expect(thisContext).toBe(vm)
         })
     })
+
+    describe('once', () => {
+        it('should call the listener only once', () => {
+            const callback = vi.fn()
+
+            Emitter.once('test', callback, {})
+            Emitter.emit('test', 1)
+            Emitter.emit('test', 2)
+
+            expect(callback).toHaveBeenCalledTimes(1)
+            expect(callback).toHaveBeenCalledWith(1)
+            expect(Emitter.emit('test')).toBe(false)
+        })
+
+        it('should be removable before it fires', () => {
+            const callback = vi.fn()
+            const vm = {}
+
+            Emitter.once('test', callback, vm)
+            Emitter.removeListener('test', callback, vm)
+
+            expect(Emitter.emit('test')).toBe(false)
+        })
+    })
+
+    describe('patterns', () => {
+        it('should match one segment with * and any with **', () => {
+            const single = vi.fn()
+            const any = vi.fn()
+
+            Emitter.addListener('chat.*', single, {})
+            Emitter.addListener('**', any, {})
+            Emitter.emit('chat.message', 'hi')
+            Emitter.emit('chat.room.join')
+            Emitter.emit('chatter')
+
+            expect(single).toHaveBeenCalledTimes(1)
+            expect(single).toHaveBeenCalledWith('chat.message', 'hi')
+            expect(any).toHaveBeenCalledTimes(3)
+        })
+
+        it('should accept RegExp labels', () => {
+            const callback = vi.fn()
+
+            Emitter.addListener(/^on(open|close)$/, callback, {})
+            Emitter.emit('onopen')
+            Emitter.emit('onmessage')
+
+            expect(callback).toHaveBeenCalledTimes(1)
+            expect(callback).toHaveBeenCalledWith('onopen')
+        })
+
+        it('should call exact and pattern listeners for the same event', () => {
+            const calls = []
+
+            Emitter.addListener('chat.message', () => calls.push('exact'), {})
+            Emitter.addListener('chat.*', () => calls.push('pattern'), {})
+
+            expect(Emitter.emit('chat.message')).toBe(true)
+            expect(calls).toEqual(['exact', 'pattern'])
+        })
+    })
+
+    describe('error isolation', () => {
+        it('should run the remaining listeners and report the error', () => {
+            const onError = vi.fn()
+            const emitter = createEmitter({ onError })
+            const error = new Error('Broken')
+            const vm = {}
+            const after = vi.fn()
+
+            emitter.addListener('test', () => { throw error }, vm)
+            emitter.addListener('test', after, {})
+
+            expect(emitter.emit('test')).toBe(true)
+            expect(after).toHaveBeenCalled()
+            expect(onError).toHaveBeenCalledWith(error, { label: 'test', vm })
+        })
+
+        it('should report rejected promises of async listeners', async () => {
+            const onError = vi.fn()
+            const emitter = createEmitter({ onError })
+            const error = new Error('Async')
+
+            emitter.addListener('test', async () => { throw error }, {})
+            emitter.emit('test')
+            await Promise.resolve()
+
+            expect(onError).toHaveBeenCalledWith(error, expect.objectContaining({ label: 'test' }))
+        })
+
+        it('should log errors by default', () => {
+            const consoleError = vi.spyOn(console, 'error').mockImplementation(() => { })
+
+            Emitter.addListener('test', () => { throw new Error('Broken') }, {})
+            Emitter.emit('test')
+
+            expect(consoleError).toHaveBeenCalledWith('[vue-native-socket] Error in "test" listener', expect.any(Error))
+            consoleError.mockRestore()
+        })
+    })
+
+    describe('removeAllListeners', () => {
+        it('should remove only the listeners of the given owner', () => {
+            const vm1 = {}
+            const vm2 = {}
+            const kept = vi.fn()
+
+            Emitter.addListener('a', () => { }, vm1)
+            Emitter.addListener('chat.*', () => { }, vm1)
+            Emitter.addListener('a', kept, vm2)
+
+            expect(Emitter.removeAllListeners(vm1)).toBe(true)
+            expect(Emitter.removeAllListeners(vm1)).toBe(false)
+            expect(Emitter.emit('chat.message')).toBe(false)
+            Emitter.emit('a')
+            expect(kept).toHaveBeenCalledTimes(1)
+        })
+
+        it('should remove everything without an owner', () => {
+            Emitter.addListener('a', () => { }, {})
+
+            expect(Emitter.removeAllListeners()).toBe(true)
+            expect(Emitter.listeners.size).toBe(0)
+        })
+    })
+
+    describe('createEmitter', () => {
+        it('should create an emitter independent of the singleton', () => {
+            const emitter = createEmitter()
+            let called = false
+
+            emitter.addListener('test', () => { called = true }, {})
+
+            expect(emitter).not.toBe(Emitter)
+            expect(Emitter.emit('test')).toBe(false)
+            expect(emitter.emit('test')).toBe(true)
+            expect(called).toBe(true)
+        })
+    })
 })
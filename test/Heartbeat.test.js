@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import Heartbeat, { createHeartbeat } from '../src/Heartbeat'
+
+describe('Heartbeat', () => {
+    let send
+    let onTimeout
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        send = vi.fn()
+        onTimeout = vi.fn()
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+    })
+
+    it('should send the ping message on every interval', () => {
+        const heartbeat = new Heartbeat({ interval: 100, timeout: 1000 }, { send, onTimeout })
+
+        heartbeat.start()
+        vi.advanceTimersByTime(100)
+        heartbeat.received('pong')
+        vi.advanceTimersByTime(100)
+
+        expect(send).toHaveBeenCalledTimes(2)
+        expect(send).toHaveBeenCalledWith('ping')
+        heartbeat.stop()
+    })
+
+    it('should call a message factory for each ping', () => {
+        const heartbeat = new Heartbeat({ interval: 100, message: () => 'ts' }, { send, onTimeout })
+
+        heartbeat.start()
+        vi.advanceTimersByTime(100)
+
+        expect(send).toHaveBeenCalledWith('ts')
+        heartbeat.stop()
+    })
+
+    it('should time out when nothing arrives after a ping', () => {
+        const heartbeat = new Heartbeat({ interval: 100, timeout: 50 }, { send, onTimeout })
+
+        heartbeat.start()
+        vi.advanceTimersByTime(150)
+
+        expect(onTimeout).toHaveBeenCalledTimes(1)
+        expect(heartbeat.intervalId).toBeNull()
+    })
+
+    it('should treat any inbound frame as proof of life', () => {
+        const heartbeat = new Heartbeat({ interval: 100, timeout: 50 }, { send, onTimeout })
+
+        heartbeat.start()
+        vi.advanceTimersByTime(120)
+        expect(heartbeat.received('some data')).toBe(false)
+        vi.advanceTimersByTime(60)
+
+        expect(onTimeout).not.toHaveBeenCalled()
+        heartbeat.stop()
+    })
+
+    it('should recognise pong frames by value or predicate', () => {
+        const byValue = new Heartbeat({}, { send, onTimeout })
+        const byPredicate = new Heartbeat({ pong: (data) => data.startsWith('{"pong"') }, { send, onTimeout })
+
+        expect(byValue.received('pong')).toBe(true)
+        expect(byPredicate.received('{"pong":1}')).toBe(true)
+        expect(byPredicate.received('pong')).toBe(false)
+    })
+
+    it('should report the round-trip time of answered pings', () => {
+        const onPong = vi.fn()
+        const heartbeat = new Heartbeat({ interval: 100 }, { send, onTimeout, onPong })
+
+        heartbeat.start()
+        vi.advanceTimersByTime(100)
+        vi.advanceTimersByTime(30)
+        heartbeat.received('data')
+        heartbeat.received('pong')
+        heartbeat.received('pong')
+
+        expect(onPong).toHaveBeenCalledTimes(1)
+        expect(onPong).toHaveBeenCalledWith(30)
+        heartbeat.stop()
+    })
+
+    it('should stop pinging when stopped', () => {
+        const heartbeat = new Heartbeat({ interval: 100 }, { send, onTimeout })
+
+        heartbeat.start()
+        heartbeat.stop()
+        vi.advanceTimersByTime(500)
+
+        expect(send).not.toHaveBeenCalled()
+    })
+
+    describe('createHeartbeat', () => {
+        it('should return null when disabled', () => {
+            expect(createHeartbeat(false, { send, onTimeout })).toBeNull()
+        })
+
+        it('should accept true or an options object', () => {
+            expect(createHeartbeat(true, { send, onTimeout }).interval).toBe(30000)
+            expect(createHeartbeat({ interval: 5 }, { send, onTimeout }).interval).toBe(5)
+        })
+    })
+})
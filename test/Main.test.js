@@ -1,4 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { isReactive } from 'vue'
 import Emitter from '../src/Emitter'
 
 // Mock WebSocket
@@ -43,7 +44,8 @@ describe('Main Plugin', () => {
             config: {
                 globalProperties: {}
             },
-            mixin: vi.fn()
+            mixin: vi.fn(),
+            provide: vi.fn()
         }
 
         // Fresh import
@@ -101,6 +103,179 @@ describe('Main Plugin', () => {
         })
     })
 
+    describe('outbound queue', () => {
+        it('should expose reactive $socketQueue when queue is enabled', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { queue: true })
+
+            mockApp.config.globalProperties.$socket.send('pending')
+
+            expect(mockApp.config.globalProperties.$socketQueue.size).toBe(1)
+        })
+
+        it('should not expose $socketQueue by default', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090')
+
+            expect(mockApp.config.globalProperties.$socketQueue).toBeUndefined()
+        })
+    })
+
+    describe('connection state', () => {
+        it('should expose reactive $socketState', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090')
+            const state = mockApp.config.globalProperties.$socketState
+
+            expect(isReactive(state)).toBe(true)
+            expect(state.status).toBe('CONNECTING')
+
+            mockApp.config.globalProperties.$socket.onopen({ type: 'open' })
+            expect(state.status).toBe('CONNECTED')
+        })
+
+        it('should keep the same $socketState across manual connections', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { connectManually: true, store: { _customProperties: new Set(), commit: vi.fn() } })
+            const state = mockApp.config.globalProperties.$socketState
+
+            expect(state.status).toBe('DISCONNECTED')
+
+            mockApp.config.globalProperties.$connect()
+            expect(state.status).toBe('CONNECTING')
+
+            mockApp.config.globalProperties.$disconnect()
+            mockApp.config.globalProperties.$connect()
+            expect(mockApp.config.globalProperties.$socketState).toBe(state)
+            expect(state.status).toBe('CONNECTING')
+        })
+
+        it('should expose a state per named connection', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', {
+                connections: { chat: 'ws://localhost:9091' }
+            })
+            const { $socketState, $socketStates, $sockets } = mockApp.config.globalProperties
+
+            $sockets.chat.onopen({ type: 'open' })
+
+            expect($socketStates.chat.status).toBe('CONNECTED')
+            expect($socketState.status).toBe('CONNECTING')
+        })
+    })
+
+    describe('stats', () => {
+        it('should expose $socketStats and keep them across manual connections', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { connectManually: true, stats: true, store: { _customProperties: new Set(), commit: vi.fn() } })
+            const stats = mockApp.config.globalProperties.$socketStats
+
+            mockApp.config.globalProperties.$connect()
+            mockApp.config.globalProperties.$socket.onmessage({ data: 'hi' })
+            mockApp.config.globalProperties.$disconnect()
+            mockApp.config.globalProperties.$connect()
+            mockApp.config.globalProperties.$socket.onmessage({ data: 'hi' })
+
+            expect(isReactive(stats)).toBe(true)
+            expect(mockApp.config.globalProperties.$socketStats).toBe(stats)
+            expect(stats.messagesIn).toBe(2)
+            mockApp.config.globalProperties.$disconnect()
+        })
+
+        it('should expose stats per named connection', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', {
+                connections: { chat: { url: 'ws://localhost:9091', stats: true } }
+            })
+            const { $sockets, $socketStats, $socketStatsByName } = mockApp.config.globalProperties
+
+            $sockets.chat.onmessage({ data: 'abc' })
+
+            expect($socketStats).toBeUndefined()
+            expect($socketStatsByName.chat).toMatchObject({ messagesIn: 1, bytesIn: 3 })
+            $sockets.chat.close()
+        })
+    })
+
+    describe('named connections', () => {
+        const connections = {
+            market: 'ws://localhost:9091',
+            notify: { url: 'ws://localhost:9092', format: 'json' }
+        }
+
+        it('should expose each connection on $sockets', () => {
+            VueNativeSock.install(mockApp, null, { connections })
+
+            const { $sockets, $socket } = mockApp.config.globalProperties
+            expect($socket).toBeUndefined()
+            expect($sockets.market.url).toBe('ws://localhost:9091')
+            expect($sockets.notify.url).toBe('ws://localhost:9092')
+            expect($sockets.notify.sendObj).toBeDefined()
+            expect($sockets.market.sendObj).toBeUndefined()
+        })
+
+        it('should keep the default connection alongside named ones', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { connections })
+
+            expect(mockApp.config.globalProperties.$socket.url).toBe('ws://localhost:9090')
+            expect(mockApp.config.globalProperties.$sockets.market).toBeDefined()
+        })
+
+        it('should route each connection to its own store', () => {
+            const marketStore = { commit: vi.fn() }
+            const notifyStore = { commit: vi.fn() }
+
+            VueNativeSock.install(mockApp, null, {
+                connections: {
+                    market: { url: 'ws://localhost:9091', store: marketStore },
+                    notify: { url: 'ws://localhost:9092', store: notifyStore }
+                }
+            })
+            mockApp.config.globalProperties.$sockets.market.onopen({ type: 'open' })
+
+            expect(marketStore.commit).toHaveBeenCalledWith('SOCKET_ONOPEN', { type: 'open' })
+            expect(notifyStore.commit).not.toHaveBeenCalled()
+        })
+
+        it('should update $sockets when a connection reconnects', () => {
+            VueNativeSock.install(mockApp, null, {
+                connections: { market: { url: 'ws://localhost:9091', reconnection: true } }
+            })
+
+            const newSocket = { url: 'ws://localhost:9091' }
+            mockApp.config.globalProperties.$sockets.market.onopen({ type: 'open', currentTarget: newSocket })
+
+            expect(mockApp.config.globalProperties.$sockets.market).toBe(newSocket)
+        })
+
+        it('should register handlers per connection', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { connections })
+
+            const mixin = mockApp.mixin.mock.calls[0][0]
+            const marketHandler = vi.fn()
+            const defaultHandler = vi.fn()
+            const mockVm = {
+                $options: { sockets: { onmessage: defaultHandler, market: { onmessage: marketHandler } } }
+            }
+
+            mixin.created.call(mockVm)
+            const event = { data: 'tick' }
+            mockApp.config.globalProperties.$sockets.market.onmessage(event)
+
+            expect(marketHandler).toHaveBeenCalledWith(event)
+            expect(defaultHandler).not.toHaveBeenCalled()
+        })
+
+        it('should remove per-connection handlers on unmount', () => {
+            VueNativeSock.install(mockApp, null, { connections })
+
+            const mixin = mockApp.mixin.mock.calls[0][0]
+            const handler = vi.fn()
+            const mockVm = {
+                $options: { sockets: { notify: { onopen: handler } } }
+            }
+
+            mixin.created.call(mockVm)
+            mixin.beforeUnmount.call(mockVm)
+            mockApp.config.globalProperties.$sockets.notify.onopen({ type: 'open' })
+
+            expect(handler).not.toHaveBeenCalled()
+        })
+    })
+
     describe('manual connection', () => {
         it('should set $connect and $disconnect methods', () => {
             VueNativeSock.install(mockApp, 'ws://localhost:9090', {
@@ -143,6 +318,20 @@ describe('Main Plugin', () => {
             expect(mockApp.config.globalProperties.$socket).toBeUndefined()
         })
 
+        it('should disconnect every connection when the app unmounts', () => {
+            mockApp.unmount = vi.fn()
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', {
+                stats: true,
+                connections: { chat: { url: 'ws://localhost:9091', stats: true } }
+            })
+            const { $socket, $sockets } = mockApp.config.globalProperties
+
+            mockApp.unmount()
+
+            expect($socket.readyState).toBe(MockWebSocket.CLOSED)
+            expect($sockets.chat.readyState).toBe(MockWebSocket.CLOSED)
+        })
+
         it('$disconnect should stop reconnection', () => {
             VueNativeSock.install(mockApp, 'ws://localhost:9090', {
                 connectManually: true,
@@ -197,7 +386,22 @@ describe('Main Plugin', () => {
 
             mixin.created.call(mockVm)
 
-            expect(Emitter.listeners.has('onmessage')).toBe(true)
+            expect(mockApp.config.globalProperties.$socketEmitter.listeners.has('onmessage')).toBe(true)
+        })
+
+        it('created hook should register message type handlers', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { format: 'json', typeField: 'type' })
+
+            const mixin = mockApp.mixin.mock.calls[0][0]
+            const handler = vi.fn()
+            const mockVm = {
+                $options: { sockets: { chatMessage: handler } }
+            }
+
+            mixin.created.call(mockVm)
+            mockApp.config.globalProperties.$socket.onmessage({ data: '{"type":"chatMessage","text":"hi"}' })
+
+            expect(handler).toHaveBeenCalledWith({ type: 'chatMessage', text: 'hi' })
         })
 
         it('beforeUnmount should run without errors', () => {
@@ -215,6 +419,81 @@ describe('Main Plugin', () => {
             expect(() => mixin.beforeUnmount.call(mockVm)).not.toThrow()
         })
 
+        it('beforeUnmount should remove every listener of the component', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { connections: { chat: 'ws://localhost:9091' } })
+
+            const mixin = mockApp.mixin.mock.calls[0][0]
+            const mockVm = {
+                $options: { sockets: { onmessage: vi.fn(), chat: { onmessage: vi.fn() } } }
+            }
+            const other = vi.fn()
+
+            mixin.created.call(mockVm)
+            mockApp.config.globalProperties.$socketEmitter.once('onopen', other, mockVm)
+            mixin.beforeUnmount.call(mockVm)
+            mockApp.config.globalProperties.$socket.onopen({ type: 'open' })
+
+            expect(other).not.toHaveBeenCalled()
+            expect(mockApp.config.globalProperties.$socketEmitter.listeners.get('onmessage')).toHaveLength(0)
+            expect(mockApp.config.globalProperties.$socketEmitters.chat.listeners.get('onmessage')).toHaveLength(0)
+        })
+
+        it('should keep dispatching to the store when a handler throws', () => {
+            const store = { commit: vi.fn() }
+            const onListenerError = vi.fn()
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { store, onListenerError })
+
+            const mixin = mockApp.mixin.mock.calls[0][0]
+            const error = new Error('Broken handler')
+            const mockVm = {
+                $options: { sockets: { onmessage: () => { throw error } } }
+            }
+
+            mixin.created.call(mockVm)
+            mockApp.config.globalProperties.$socket.onmessage({ type: 'message', data: 'hi' })
+
+            expect(onListenerError).toHaveBeenCalledWith(error, { label: 'onmessage', vm: mockVm })
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_ONMESSAGE', expect.objectContaining({ data: 'hi' }))
+        })
+
+        it('should give each app its own emitter', () => {
+            const otherApp = { config: { globalProperties: {} }, mixin: vi.fn(), provide: vi.fn() }
+            VueNativeSock.install(mockApp, 'ws://localhost:9090')
+            VueNativeSock.install(otherApp, 'ws://localhost:9091')
+
+            const handler = vi.fn()
+            const otherHandler = vi.fn()
+            mockApp.mixin.mock.calls[0][0].created.call({ $options: { sockets: { onmessage: handler } } })
+            otherApp.mixin.mock.calls[0][0].created.call({ $options: { sockets: { onmessage: otherHandler } } })
+            mockApp.config.globalProperties.$socket.onmessage({ type: 'message', data: 'hi' })
+
+            expect(handler).toHaveBeenCalledTimes(1)
+            expect(otherHandler).not.toHaveBeenCalled()
+            expect(mockApp.config.globalProperties.$socketEmitter).not.toBe(otherApp.config.globalProperties.$socketEmitter)
+        })
+
+        it('should provide the emitters for inject()', async () => {
+            const { socketEmitterKey, socketEmittersKey } = await import('../src/Main.js')
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { connections: { chat: 'ws://localhost:9091' } })
+
+            const { $socketEmitter, $socketEmitters } = mockApp.config.globalProperties
+            expect(mockApp.provide).toHaveBeenCalledWith(socketEmitterKey, $socketEmitter)
+            expect(mockApp.provide).toHaveBeenCalledWith(socketEmittersKey, $socketEmitters)
+            expect(Object.keys($socketEmitters)).toEqual(['chat'])
+        })
+
+        it('should forward default connection events to the shared Emitter', () => {
+            VueNativeSock.install(mockApp, 'ws://localhost:9090', { connections: { chat: 'ws://localhost:9091' } })
+            const legacy = vi.fn()
+            Emitter.addListener('onmessage', legacy, null)
+
+            mockApp.config.globalProperties.$socket.onmessage({ type: 'message', data: 'hi' })
+            mockApp.config.globalProperties.$sockets.chat.onmessage({ type: 'message', data: 'chat' })
+
+            expect(legacy).toHaveBeenCalledTimes(1)
+            expect(legacy).toHaveBeenCalledWith(expect.objectContaining({ data: 'hi' }))
+        })
+
         it('socket proxy set should add listener', () => {
             VueNativeSock.install(mockApp, 'ws://localhost:9090')
 
@@ -228,7 +507,7 @@ describe('Main Plugin', () => {
             const handler = vi.fn()
             mockApp.config.globalProperties.sockets.ontest = handler
 
-            expect(Emitter.listeners.has('ontest')).toBe(true)
+            expect(mockApp.config.globalProperties.$socketEmitter.listeners.has('ontest')).toBe(true)
         })
 
         it('socket proxy delete should work', () => {
@@ -266,4 +545,11 @@ describe('Named exports', () => {
         const { Emitter } = await import('../src/Main.js')
         expect(Emitter).toBeDefined()
     })
+
+    it('should export built-in codecs', async () => {
+        const { jsonCodec, textCodec, msgpackCodec } = await import('../src/Main.js')
+        expect(jsonCodec.encode({ a: 1 })).toBe('{"a":1}')
+        expect(textCodec.decode('x')).toBe('x')
+        expect(msgpackCodec.binaryType).toBe('arraybuffer')
+    })
 })
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { isReactive } from 'vue'
+import MessageHistory, { createHistory } from '../src/MessageHistory'
+
+describe('MessageHistory', () => {
+    afterEach(() => {
+        vi.useRealTimers()
+    })
+
+    it('should record entries with direction and timestamp', () => {
+        vi.useFakeTimers({ now: 1000 })
+        const history = new MessageHistory({ outbound: true })
+
+        history.record('in', 'a')
+        history.record('out', 'b')
+
+        expect(history.entries).toEqual([
+            { direction: 'in', data: 'a', timestamp: 1000 },
+            { direction: 'out', data: 'b', timestamp: 1000 }
+        ])
+    })
+
+    it('should skip outbound messages unless enabled', () => {
+        const history = new MessageHistory()
+
+        expect(history.record('out', 'b')).toBe(false)
+        expect(history.entries).toHaveLength(0)
+    })
+
+    it('should drop the oldest entries beyond maxLength', () => {
+        const history = new MessageHistory({ maxLength: 2 })
+
+        history.record('in', 1)
+        history.record('in', 2)
+        history.record('in', 3)
+
+        expect(history.entries.map((entry) => entry.data)).toEqual([2, 3])
+    })
+
+    it('should filter and map messages', () => {
+        const history = new MessageHistory({
+            filter: (data) => data.type === 'chat',
+            map: (data, direction) => `${direction}:${data.text}`
+        })
+
+        history.record('in', { type: 'presence' })
+        history.record('in', { type: 'chat', text: 'hi' })
+
+        expect(history.entries.map((entry) => entry.data)).toEqual(['in:hi'])
+    })
+
+    it('should keep entries in a shallow reactive array', () => {
+        const history = new MessageHistory()
+
+        history.record('in', { a: 1 })
+
+        expect(isReactive(history.entries)).toBe(true)
+        expect(isReactive(history.entries[0].data)).toBe(false)
+
+        history.clear()
+        expect(history.entries).toHaveLength(0)
+    })
+
+    it('should normalize the option', () => {
+        expect(createHistory(false)).toBeNull()
+        expect(createHistory(true).maxLength).toBe(100)
+        expect(createHistory({ maxLength: 5 }).maxLength).toBe(5)
+    })
+})
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import MessageQueue, { createQueue } from '../src/MessageQueue'
+
+describe('MessageQueue', () => {
+    afterEach(() => {
+        vi.useRealTimers()
+    })
+
+    it('should flush messages in order', () => {
+        const queue = new MessageQueue()
+        const sent = []
+
+        queue.push('a')
+        queue.push('b')
+        queue.flush((data) => sent.push(data))
+
+        expect(sent).toEqual(['a', 'b'])
+        expect(queue.size.value).toBe(0)
+    })
+
+    it('should track size reactively', () => {
+        const queue = new MessageQueue()
+
+        queue.push('a')
+        queue.push('b')
+
+        expect(queue.size.value).toBe(2)
+    })
+
+    it('should reject messages beyond maxSize', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { })
+        const queue = new MessageQueue({ maxSize: 1 })
+
+        expect(queue.push('a')).toBe(true)
+        expect(queue.push('b')).toBe(false)
+        expect(queue.size.value).toBe(1)
+        warnSpy.mockRestore()
+    })
+
+    it('should drop expired messages', () => {
+        vi.useFakeTimers()
+        const queue = new MessageQueue({ ttl: 1000 })
+        const sent = []
+
+        queue.push('old')
+        vi.advanceTimersByTime(600)
+        queue.push('new')
+        vi.advanceTimersByTime(600)
+        queue.flush((data) => sent.push(data))
+
+        expect(sent).toEqual(['new'])
+    })
+
+    it('should clear pending messages', () => {
+        const queue = new MessageQueue()
+
+        queue.push('a')
+        queue.clear()
+
+        expect(queue.size.value).toBe(0)
+    })
+
+    describe('createQueue', () => {
+        it('should return null when disabled', () => {
+            expect(createQueue(false)).toBeNull()
+            expect(createQueue(undefined)).toBeNull()
+        })
+
+        it('should accept true or an options object', () => {
+            expect(createQueue(true)).toBeInstanceOf(MessageQueue)
+            expect(createQueue({ maxSize: 5 }).maxSize).toBe(5)
+        })
+    })
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import NetworkMonitor, { createNetworkMonitor } from '../src/NetworkMonitor'
+
+describe('NetworkMonitor', () => {
+    let online
+    let visibility
+    let handlers
+    let monitor
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        online = true
+        visibility = 'visible'
+        Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online })
+        Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibility })
+        handlers = { onResume: vi.fn(), onSuspend: vi.fn() }
+    })
+
+    afterEach(() => {
+        monitor.stop()
+        delete navigator.onLine
+        delete document.visibilityState
+        vi.useRealTimers()
+    })
+
+    const setVisibility = (state) => {
+        visibility = state
+        document.dispatchEvent(new Event('visibilitychange'))
+    }
+
+    it('should wait while offline', () => {
+        monitor = new NetworkMonitor({}, handlers)
+
+        expect(monitor.shouldWait()).toBe(false)
+        online = false
+        expect(monitor.shouldWait()).toBe(true)
+    })
+
+    it('should resume when the network comes back', () => {
+        monitor = new NetworkMonitor({}, handlers)
+        monitor.start()
+
+        window.dispatchEvent(new Event('online'))
+
+        expect(handlers.onResume).toHaveBeenCalledTimes(1)
+    })
+
+    it('should ignore visibility unless closeWhenHidden is set', () => {
+        monitor = new NetworkMonitor({}, handlers)
+        monitor.start()
+
+        setVisibility('hidden')
+        vi.runAllTimers()
+
+        expect(monitor.shouldWait()).toBe(false)
+        expect(handlers.onSuspend).not.toHaveBeenCalled()
+    })
+
+    it('should suspend after the page stays hidden and resume when visible', () => {
+        monitor = new NetworkMonitor({ closeWhenHidden: 1000 }, handlers)
+        monitor.start()
+
+        setVisibility('hidden')
+        expect(monitor.shouldWait()).toBe(true)
+        vi.advanceTimersByTime(999)
+        expect(handlers.onSuspend).not.toHaveBeenCalled()
+        vi.advanceTimersByTime(1)
+        expect(handlers.onSuspend).toHaveBeenCalledTimes(1)
+
+        setVisibility('visible')
+        expect(handlers.onResume).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not suspend when the page is shown again in time', () => {
+        monitor = new NetworkMonitor({ closeWhenHidden: 1000 }, handlers)
+        monitor.start()
+
+        setVisibility('hidden')
+        vi.advanceTimersByTime(500)
+        setVisibility('visible')
+        vi.runAllTimers()
+
+        expect(handlers.onSuspend).not.toHaveBeenCalled()
+    })
+
+    it('should remove its listeners when stopped', () => {
+        monitor = new NetworkMonitor({ closeWhenHidden: true }, handlers)
+        monitor.start()
+        monitor.stop()
+
+        window.dispatchEvent(new Event('online'))
+        setVisibility('hidden')
+        vi.runAllTimers()
+
+        expect(handlers.onResume).not.toHaveBeenCalled()
+        expect(handlers.onSuspend).not.toHaveBeenCalled()
+    })
+
+    it('should normalize the option', () => {
+        monitor = createNetworkMonitor(true, handlers)
+
+        expect(createNetworkMonitor(false, handlers)).toBeNull()
+        expect(monitor.closeWhenHidden).toBe(false)
+        expect(createNetworkMonitor({ closeWhenHidden: true }, handlers).closeWhenHidden).toBe(0)
+    })
+})
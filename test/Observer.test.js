@@ -1,4 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import Emitter, { createEmitter } from '../src/Emitter'
+import { encode } from '../src/msgpack'
 
 // Mock WebSocket
 class MockWebSocket {
@@ -29,12 +31,16 @@ class MockWebSocket {
 
 vi.stubGlobal('WebSocket', MockWebSocket)
 
+const realWindow = globalThis.window
+
 describe('Observer', () => {
     let Observer
+    let createSocketState
 
     beforeEach(async () => {
         const module = await import('../src/Observer')
         Observer = module.default
+        createSocketState = module.createSocketState
     })
 
     describe('constructor', () => {
@@ -108,6 +114,53 @@ describe('Observer', () => {
         })
     })
 
+    describe('disconnect', () => {
+        beforeEach(() => {
+            vi.useFakeTimers()
+            vi.stubGlobal('window', realWindow)
+        })
+
+        afterEach(() => {
+            vi.useRealTimers()
+        })
+
+        it('should stop everything the connection started', () => {
+            const observer = new Observer('ws://localhost:9090', {
+                reconnection: true,
+                heartbeat: true,
+                network: true,
+                stats: true,
+                queue: true,
+                $setInstance: vi.fn()
+            })
+            const socket = observer.WebSocket
+            observer.send('queued')
+            const heartbeatStop = vi.spyOn(observer.heartbeat, 'stop')
+            const networkStop = vi.spyOn(observer.network, 'stop')
+
+            observer.disconnect()
+            vi.advanceTimersByTime(60000)
+
+            expect(socket.readyState).toBe(MockWebSocket.CLOSED)
+            expect(observer.WebSocket).toBe(socket)
+            expect(observer.reconnectionCount).toBe(0)
+            expect(observer.queue.size.value).toBe(0)
+            expect(observer.stats.intervalId).toBeNull()
+            expect(heartbeatStop).toHaveBeenCalled()
+            expect(networkStop).toHaveBeenCalled()
+        })
+
+        it('should drop a connection still waiting for its token', async () => {
+            const observer = new Observer('ws://localhost:9090', { token: async () => 'secret' })
+            const placeholder = observer.WebSocket
+
+            observer.disconnect()
+            await vi.advanceTimersByTimeAsync(0)
+
+            expect(observer.WebSocket).toBe(placeholder)
+        })
+    })
+
     describe('onEvent', () => {
         it('should set up event handlers on WebSocket', () => {
             const observer = new Observer('ws://localhost:9090')
@@ -151,6 +204,58 @@ describe('Observer', () => {
             vi.useRealTimers()
         })
 
+        it('should back off exponentially up to the max delay', () => {
+            vi.useFakeTimers()
+            const timeoutSpy = vi.spyOn(globalThis, 'setTimeout')
+
+            const observer = new Observer('ws://localhost:9090', {
+                reconnection: true,
+                reconnectionDelay: 100,
+                reconnectionBackoff: 2,
+                reconnectionDelayMax: 300,
+                $setInstance: () => { }
+            })
+
+            observer.reconnect()
+            observer.reconnect()
+            observer.reconnect()
+
+            expect(timeoutSpy.mock.calls.map((call) => call[1])).toEqual([100, 200, 300])
+
+            timeoutSpy.mockRestore()
+            vi.useRealTimers()
+        })
+
+        it('should pass attempt and close event to reconnectStrategy', () => {
+            vi.useFakeTimers()
+            const reconnectStrategy = vi.fn(() => 50)
+            const observer = new Observer('ws://localhost:9090', {
+                reconnection: true,
+                reconnectStrategy,
+                $setInstance: () => { }
+            })
+
+            const closeEvent = { type: 'close', code: 1006 }
+            observer.WebSocket.onclose(closeEvent)
+
+            expect(reconnectStrategy).toHaveBeenCalledWith(1, closeEvent)
+            vi.useRealTimers()
+        })
+
+        it('should stop reconnecting when reconnectStrategy returns false', () => {
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', {
+                reconnection: true,
+                reconnectStrategy: () => false,
+                store
+            })
+
+            observer.reconnect({ code: 4001 })
+
+            expect(observer.reconnectionCount).toBe(0)
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_RECONNECT_ERROR', true)
+        })
+
         it('should stop reconnecting after max attempts', () => {
             const store = { commit: vi.fn() }
             const observer = new Observer('ws://localhost:9090', {
@@ -159,14 +264,821 @@ describe('Observer', () => {
                 store
             })
 
-            observer.reconnectionCount = 3
+            observer.reconnectionCount = 1
+            observer.reconnect()
+            expect(store.commit).not.toHaveBeenCalledWith('SOCKET_RECONNECT_ERROR', true)
+            clearTimeout(observer.reconnectTimeoutId)
 
+            observer.reconnectionCount = 2
             observer.reconnect()
 
             expect(store.commit).toHaveBeenCalledWith('SOCKET_RECONNECT_ERROR', true)
         })
     })
 
+    describe('outbound queue', () => {
+        it('should queue sends while connecting and flush on open', () => {
+            const observer = new Observer('ws://localhost:9090', { queue: true })
+            const socket = observer.WebSocket
+            const rawSend = vi.spyOn(socket, 'rawSend')
+
+            socket.send('first')
+            socket.send('second')
+
+            expect(rawSend).not.toHaveBeenCalled()
+            expect(observer.queue.size.value).toBe(2)
+
+            socket.readyState = MockWebSocket.OPEN
+            socket.onopen({ type: 'open' })
+
+            expect(rawSend.mock.calls).toEqual([['first'], ['second']])
+            expect(observer.queue.size.value).toBe(0)
+        })
+
+        it('should send immediately when open', () => {
+            const observer = new Observer('ws://localhost:9090', { queue: true })
+            const rawSend = vi.spyOn(observer.WebSocket, 'rawSend')
+
+            observer.WebSocket.readyState = MockWebSocket.OPEN
+            observer.WebSocket.send('now')
+
+            expect(rawSend).toHaveBeenCalledWith('now')
+        })
+
+        it('should queue sendObj payloads', () => {
+            const observer = new Observer('ws://localhost:9090', { queue: true, format: 'json' })
+
+            observer.WebSocket.sendObj({ a: 1 })
+
+            expect(observer.queue.items[0].data).toBe('{"a":1}')
+        })
+
+        it('should route sends on a stale socket to the reconnected one', () => {
+            vi.useFakeTimers()
+            const observer = new Observer('ws://localhost:9090', {
+                queue: true,
+                reconnection: true,
+                reconnectionDelay: 100,
+                $setInstance: () => { }
+            })
+            const stale = observer.WebSocket
+
+            stale.onclose({ type: 'close' })
+            vi.advanceTimersByTime(150)
+            stale.send('late')
+
+            expect(observer.WebSocket).not.toBe(stale)
+            expect(observer.queue.size.value).toBe(1)
+
+            const rawSend = vi.spyOn(observer.WebSocket, 'rawSend')
+            observer.WebSocket.readyState = MockWebSocket.OPEN
+            observer.WebSocket.onopen({ type: 'open', currentTarget: observer.WebSocket })
+
+            expect(rawSend).toHaveBeenCalledWith('late')
+            vi.useRealTimers()
+        })
+
+        it('should not wrap send without the queue option', () => {
+            const observer = new Observer('ws://localhost:9090')
+
+            expect(observer.queue).toBeNull()
+            expect(observer.WebSocket.rawSend).toBeUndefined()
+        })
+    })
+
+    describe('heartbeat', () => {
+        beforeEach(() => {
+            vi.useFakeTimers()
+        })
+
+        afterEach(() => {
+            vi.useRealTimers()
+        })
+
+        it('should ping while open and close the socket on timeout', () => {
+            const observer = new Observer('ws://localhost:9090', {
+                heartbeat: { interval: 100, timeout: 50 }
+            })
+            const socket = observer.WebSocket
+            const sendSpy = vi.spyOn(socket, 'send')
+            const closeSpy = vi.spyOn(socket, 'close')
+
+            socket.onopen({ type: 'open' })
+            vi.advanceTimersByTime(100)
+            expect(sendSpy).toHaveBeenCalledWith('ping')
+
+            vi.advanceTimersByTime(50)
+            expect(closeSpy).toHaveBeenCalledWith(4000, 'Heartbeat timeout')
+        })
+
+        it('should keep pong frames away from handlers and store', () => {
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { store, heartbeat: true })
+
+            observer.WebSocket.onmessage({ data: 'pong' })
+            observer.WebSocket.onmessage({ data: 'hello' })
+
+            expect(store.commit).toHaveBeenCalledTimes(1)
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_ONMESSAGE', { data: 'hello' })
+        })
+
+        it('should stop pinging after close', () => {
+            const observer = new Observer('ws://localhost:9090', {
+                heartbeat: { interval: 100 }
+            })
+            const socket = observer.WebSocket
+            const sendSpy = vi.spyOn(socket, 'send')
+
+            socket.onopen({ type: 'open' })
+            socket.onclose({ type: 'close' })
+            vi.advanceTimersByTime(500)
+
+            expect(sendSpy).not.toHaveBeenCalled()
+        })
+    })
+
+    describe('request', () => {
+        it('should send a stamped request and resolve with the reply', async () => {
+            const observer = new Observer('ws://localhost:9090')
+            const sendSpy = vi.spyOn(observer.WebSocket, 'send')
+
+            const promise = observer.WebSocket.request({ type: 'getUser' })
+            observer.WebSocket.onmessage({ data: JSON.stringify({ id: 1, name: 'Ada' }) })
+
+            expect(sendSpy).toHaveBeenCalledWith('{"type":"getUser","id":1}')
+            await expect(promise).resolves.toEqual({ id: 1, name: 'Ada' })
+        })
+
+        it('should pass replies on to the store unless intercepted', () => {
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { store })
+
+            observer.request({})
+            observer.WebSocket.onmessage({ data: '{"id":1}' })
+
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_ONMESSAGE', { data: '{"id":1}' })
+        })
+
+        it('should keep replies away from handlers and store when intercepting', () => {
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', {
+                store,
+                rpc: { field: 'rid', intercept: true }
+            })
+
+            observer.request({})
+            observer.WebSocket.onmessage({ data: '{"rid":1}' })
+            observer.WebSocket.onmessage({ data: '{"rid":2}' })
+
+            expect(store.commit).toHaveBeenCalledTimes(1)
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_ONMESSAGE', { data: '{"rid":2}' })
+        })
+
+        it('should reject pending requests when the socket closes', async () => {
+            const observer = new Observer('ws://localhost:9090')
+
+            const promise = observer.request({})
+            observer.WebSocket.onclose({ type: 'close' })
+
+            await expect(promise).rejects.toThrow('Connection closed')
+        })
+
+        it('should reject when the send fails', async () => {
+            const observer = new Observer('ws://localhost:9090')
+            observer.WebSocket.send = () => { throw new Error('InvalidStateError') }
+
+            await expect(observer.request({})).rejects.toThrow('InvalidStateError')
+        })
+    })
+
+    describe('message type routing', () => {
+        beforeEach(() => {
+            Emitter.listeners.clear()
+        })
+
+        it('should emit the message type with the parsed payload', () => {
+            const handler = vi.fn()
+            Emitter.addListener('chatMessage', handler, null)
+            const observer = new Observer('ws://localhost:9090', { format: 'json', typeField: 'type' })
+
+            observer.WebSocket.onmessage({ data: '{"type":"chatMessage","text":"hi"}' })
+
+            expect(handler).toHaveBeenCalledWith({ type: 'chatMessage', text: 'hi' })
+        })
+
+        it('should still emit the raw onmessage event', () => {
+            const handler = vi.fn()
+            Emitter.addListener('onmessage', handler, null)
+            const observer = new Observer('ws://localhost:9090', { format: 'json', typeField: 'event' })
+
+            const event = { data: '{"event":"tick"}' }
+            observer.WebSocket.onmessage(event)
+
+            expect(handler).toHaveBeenCalledWith(event, { event: 'tick' })
+        })
+
+        it('should not emit without format json or typeField', () => {
+            const emitSpy = vi.spyOn(Emitter, 'emit')
+            const plain = new Observer('ws://localhost:9090', { typeField: 'type' })
+            const untyped = new Observer('ws://localhost:9090', { format: 'json' })
+
+            plain.WebSocket.onmessage({ data: '{"type":"tick"}' })
+            untyped.WebSocket.onmessage({ data: '{"type":"tick"}' })
+
+            expect(emitSpy).not.toHaveBeenCalledWith('tick', expect.anything())
+            emitSpy.mockRestore()
+        })
+
+        it('should ignore non-JSON frames, missing types and raw event names', () => {
+            const emitSpy = vi.spyOn(Emitter, 'emit')
+            const observer = new Observer('ws://localhost:9090', { format: 'json', typeField: 'type' })
+
+            observer.WebSocket.onmessage({ data: 'not json' })
+            observer.WebSocket.onmessage({ data: '{"text":"no type"}' })
+            observer.WebSocket.onmessage({ data: '{"type":"onclose"}' })
+
+            expect(emitSpy.mock.calls.map((call) => call[0])).toEqual(['onmessage', 'onmessage', 'onmessage'])
+            emitSpy.mockRestore()
+        })
+    })
+
+    describe('codecs', () => {
+        beforeEach(() => {
+            Emitter.listeners.clear()
+        })
+
+        it('should encode sendObj and decode store payloads with msgpack', () => {
+            const store = { commit: vi.fn(), dispatch: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { store, codec: 'msgpack' })
+            const sendSpy = vi.spyOn(observer.WebSocket, 'send')
+
+            observer.WebSocket.sendObj({ a: 1 })
+            observer.WebSocket.onmessage({ data: encode({ action: 'update', namespace: 'prices' }).buffer })
+
+            expect(observer.WebSocket.binaryType).toBe('arraybuffer')
+            expect(sendSpy.mock.calls[0][0]).toBeInstanceOf(Uint8Array)
+            expect(store.dispatch).toHaveBeenCalledWith('prices/update', { action: 'update', namespace: 'prices' })
+        })
+
+        it('should pass the decoded value to onmessage handlers', () => {
+            const handler = vi.fn()
+            Emitter.addListener('onmessage', handler, null)
+            const observer = new Observer('ws://localhost:9090', { codec: 'msgpack' })
+
+            const event = { data: encode([1, 2]).buffer }
+            observer.WebSocket.onmessage(event)
+
+            expect(handler).toHaveBeenCalledWith(event, [1, 2])
+        })
+
+        it('should route message types decoded by any codec', () => {
+            const handler = vi.fn()
+            Emitter.addListener('tick', handler, null)
+            const observer = new Observer('ws://localhost:9090', { codec: 'msgpack', typeField: 'type' })
+
+            observer.WebSocket.onmessage({ data: encode({ type: 'tick' }).buffer })
+
+            expect(handler).toHaveBeenCalledWith({ type: 'tick' })
+        })
+
+        it('should pass raw text to the store with the text codec', () => {
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { store, codec: 'text' })
+
+            observer.WebSocket.onmessage({ data: 'hello' })
+
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_ONMESSAGE', 'hello')
+        })
+
+        it('should accept a custom codec and binaryType', () => {
+            const codec = {
+                encode: (value) => `!${JSON.stringify(value)}`,
+                decode: (data) => JSON.parse(data.slice(1))
+            }
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { store, codec, binaryType: 'blob' })
+            const sendSpy = vi.spyOn(observer.WebSocket, 'send')
+
+            observer.WebSocket.sendObj({ a: 1 })
+            observer.WebSocket.onmessage({ data: '!{"mutation":"SET"}' })
+
+            expect(observer.WebSocket.binaryType).toBe('blob')
+            expect(sendSpy).toHaveBeenCalledWith('!{"a":1}')
+            expect(store.commit).toHaveBeenCalledWith('SET', { mutation: 'SET' })
+        })
+
+        it('should decode again when a handler replaces event data', () => {
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', {
+                store,
+                format: 'json',
+                passToStoreHandler (eventName, event, next) {
+                    if (event.data) { event.data = '{"mutation":"REWRITTEN"}' }
+                    next(eventName, event)
+                }
+            })
+
+            observer.WebSocket.onmessage({ data: '{"mutation":"ORIGINAL"}' })
+
+            expect(store.commit).toHaveBeenCalledWith('REWRITTEN', { mutation: 'REWRITTEN' })
+        })
+    })
+
+    describe('subscriptions', () => {
+        it('should subscribe through $socket and route topic messages', () => {
+            const observer = new Observer('ws://localhost:9090', { format: 'json' })
+            const socket = observer.WebSocket
+            const sendSpy = vi.spyOn(socket, 'send')
+            const handler = vi.fn()
+            socket.readyState = MockWebSocket.OPEN
+
+            socket.subscribe('prices', handler)
+            socket.onmessage({ data: '{"topic":"prices","value":3}' })
+
+            expect(sendSpy).toHaveBeenCalledWith('{"type":"subscribe","topic":"prices"}')
+            expect(handler).toHaveBeenCalledWith({ topic: 'prices', value: 3 })
+        })
+
+        it('should still pass topic messages to the store when a handler throws', () => {
+            const store = { commit: vi.fn() }
+            const onError = vi.fn()
+            const error = new Error('boom')
+            const observer = new Observer('ws://localhost:9090', {
+                format: 'json',
+                store,
+                $emitter: createEmitter({ onError })
+            })
+
+            observer.subscribe('prices', () => { throw error })
+            observer.WebSocket.onmessage({ data: '{"topic":"prices","mutation":"setPrice"}' })
+
+            expect(onError).toHaveBeenCalledWith(error, { label: 'prices' })
+            expect(store.commit).toHaveBeenCalledWith('setPrice', { topic: 'prices', mutation: 'setPrice' })
+        })
+
+        it('should replay subscriptions on every open', () => {
+            vi.useFakeTimers()
+            const observer = new Observer('ws://localhost:9090', {
+                reconnection: true,
+                reconnectionDelay: 10,
+                $setInstance: () => { }
+            })
+            observer.subscribe('prices', () => { })
+            observer.subscribe('news', () => { })
+
+            observer.WebSocket.onclose({ type: 'close' })
+            vi.advanceTimersByTime(10)
+            const sendSpy = vi.spyOn(observer.WebSocket, 'send')
+            observer.WebSocket.readyState = MockWebSocket.OPEN
+            observer.WebSocket.onopen({ type: 'open', currentTarget: observer.WebSocket })
+
+            expect(sendSpy.mock.calls).toEqual([
+                ['{"type":"subscribe","topic":"prices"}'],
+                ['{"type":"subscribe","topic":"news"}']
+            ])
+            vi.useRealTimers()
+        })
+
+        it('should send unsubscribe when the last handler is removed', () => {
+            const observer = new Observer('ws://localhost:9090', {
+                subscriptions: { unsubscribe: (topic) => ({ op: 'leave', topic }) }
+            })
+            observer.WebSocket.readyState = MockWebSocket.OPEN
+            const sendSpy = vi.spyOn(observer.WebSocket, 'send')
+
+            const unsubscribe = observer.subscribe('prices', () => { })
+            unsubscribe()
+
+            expect(sendSpy).toHaveBeenLastCalledWith('{"op":"leave","topic":"prices"}')
+        })
+    })
+
+    describe('connection state', () => {
+        it('should track status, errors and close codes', () => {
+            const observer = new Observer('ws://localhost:9090')
+            const { state } = observer
+            const error = { type: 'error' }
+
+            expect(state.status).toBe('CONNECTING')
+
+            observer.WebSocket.onopen({ type: 'open' })
+            expect(state.status).toBe('CONNECTED')
+            expect(state.connectedAt).toEqual(expect.any(Number))
+
+            observer.WebSocket.onerror(error)
+            expect(state.status).toBe('ERROR')
+            expect(state.error).toBe(error)
+
+            observer.WebSocket.onclose({ type: 'close', code: 1006 })
+            expect(state).toMatchObject({ status: 'DISCONNECTED', closeCode: 1006, connectedAt: null })
+        })
+
+        it('should count reconnect attempts and reset them on open', () => {
+            vi.useFakeTimers()
+            const observer = new Observer('ws://localhost:9090', {
+                reconnection: true,
+                reconnectionDelay: 10,
+                $setInstance: () => { }
+            })
+
+            observer.WebSocket.onclose({ type: 'close', code: 1006 })
+            expect(observer.state.reconnectAttempts).toBe(1)
+
+            vi.advanceTimersByTime(10)
+            expect(observer.state.status).toBe('CONNECTING')
+            observer.WebSocket.onclose({ type: 'close', code: 1006 })
+            expect(observer.state.reconnectAttempts).toBe(2)
+
+            vi.advanceTimersByTime(20)
+            observer.WebSocket.onopen({ type: 'open', currentTarget: observer.WebSocket })
+            expect(observer.state).toMatchObject({ status: 'CONNECTED', reconnectAttempts: 0, closeCode: null, error: null })
+            vi.useRealTimers()
+        })
+
+        it('should use the injected $state', () => {
+            const $state = createSocketState()
+            const observer = new Observer('ws://localhost:9090', { $state })
+
+            expect(observer.state).toBe($state)
+            expect($state.status).toBe('CONNECTING')
+        })
+    })
+
+    describe('network awareness', () => {
+        let online
+        let visibility
+
+        beforeEach(() => {
+            vi.useFakeTimers()
+            vi.stubGlobal('window', realWindow)
+            online = true
+            visibility = 'visible'
+            Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online })
+            Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibility })
+        })
+
+        afterEach(() => {
+            delete navigator.onLine
+            delete document.visibilityState
+            vi.useRealTimers()
+        })
+
+        const create = (network) => new Observer('ws://localhost:9090', {
+            network,
+            reconnection: true,
+            reconnectionDelay: 5000,
+            $setInstance: vi.fn()
+        })
+
+        it('should not spend reconnect attempts while offline', () => {
+            const observer = create(true)
+            const socket = observer.WebSocket
+
+            online = false
+            socket.onclose({ type: 'close' })
+            vi.advanceTimersByTime(60000)
+
+            expect(observer.WebSocket).toBe(socket)
+            expect(observer.reconnectionCount).toBe(0)
+            observer.network.stop()
+        })
+
+        it('should reconnect as soon as the network returns', () => {
+            const observer = create(true)
+            const socket = observer.WebSocket
+
+            online = false
+            socket.onclose({ type: 'close' })
+            online = true
+            window.dispatchEvent(new Event('online'))
+
+            expect(observer.WebSocket).not.toBe(socket)
+            expect(observer.opts.$setInstance).toHaveBeenCalledWith(observer.WebSocket)
+            observer.network.stop()
+        })
+
+        it('should skip the remaining delay when the network returns', () => {
+            const observer = create(true)
+            const socket = observer.WebSocket
+
+            socket.onclose({ type: 'close' })
+            vi.advanceTimersByTime(100)
+            window.dispatchEvent(new Event('online'))
+            const reconnected = observer.WebSocket
+            vi.advanceTimersByTime(5000)
+
+            expect(reconnected).not.toBe(socket)
+            expect(observer.WebSocket).toBe(reconnected)
+            observer.network.stop()
+        })
+
+        it('should close hidden connections and reopen them when visible', () => {
+            const observer = create({ closeWhenHidden: 1000 })
+            const socket = observer.WebSocket
+            socket.readyState = MockWebSocket.OPEN
+            const closeSpy = vi.spyOn(socket, 'close')
+
+            visibility = 'hidden'
+            document.dispatchEvent(new Event('visibilitychange'))
+            vi.advanceTimersByTime(1000)
+
+            expect(closeSpy).toHaveBeenCalledWith(1000, 'Page hidden')
+            vi.advanceTimersByTime(60000)
+            expect(observer.WebSocket).toBe(socket)
+
+            visibility = 'visible'
+            document.dispatchEvent(new Event('visibilitychange'))
+            expect(observer.WebSocket).not.toBe(socket)
+            observer.network.stop()
+        })
+
+        it('should ignore late events from a replaced socket', () => {
+            const observer = create({ closeWhenHidden: true })
+            const stale = observer.WebSocket
+            observer.resume()
+            observer.suspended = true
+            observer.resume()
+            const current = observer.WebSocket
+
+            stale.onclose({ type: 'close' })
+            vi.advanceTimersByTime(5000)
+
+            expect(observer.WebSocket).toBe(current)
+            observer.network.stop()
+        })
+    })
+
+    describe('dynamic URLs', () => {
+        it('should call a URL function and token provider on every connect', () => {
+            vi.useFakeTimers()
+            let n = 0
+            const observer = new Observer(() => `ws://localhost:${9090 + n++}`, {
+                token: () => `t${n}`,
+                reconnection: true,
+                reconnectionDelay: 10,
+                $setInstance: () => { }
+            })
+            expect(observer.WebSocket.url).toBe('ws://localhost:9090?token=t1')
+
+            observer.WebSocket.onclose({ type: 'close' })
+            vi.advanceTimersByTime(10)
+
+            expect(observer.WebSocket.url).toBe('ws://localhost:9091?token=t2')
+            vi.useRealTimers()
+        })
+
+        it('should open the socket once an async token resolves', async () => {
+            const $setInstance = vi.fn()
+            const observer = new Observer('ws://localhost:9090', {
+                protocol: 'chat',
+                token: async () => 'secret',
+                tokenIn: 'protocol',
+                $setInstance
+            })
+            expect(observer.WebSocket.readyState).toBe(3)
+
+            await new Promise((resolve) => setTimeout(resolve, 0))
+
+            expect(observer.WebSocket.protocol).toEqual(['chat', 'secret'])
+            expect(observer.WebSocket.onopen).toEqual(expect.any(Function))
+            expect($setInstance).toHaveBeenCalledWith(observer.WebSocket)
+        })
+
+        it('should report and retry failed token lookups', async () => {
+            vi.useFakeTimers()
+            const store = { commit: vi.fn() }
+            const token = vi.fn()
+                .mockRejectedValueOnce(new Error('expired'))
+                .mockResolvedValue('fresh')
+            const observer = new Observer('ws://localhost:9090', {
+                store,
+                token,
+                reconnection: true,
+                reconnectionDelay: 10,
+                $setInstance: () => { }
+            })
+
+            await vi.advanceTimersByTimeAsync(0)
+            expect(observer.state.status).toBe('ERROR')
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_ONERROR', expect.objectContaining({ message: 'expired' }))
+
+            await vi.advanceTimersByTimeAsync(10)
+            expect(observer.WebSocket.url).toBe('ws://localhost:9090?token=fresh')
+            vi.useRealTimers()
+        })
+    })
+
+    describe('middleware', () => {
+        it('should pass transformed inbound frames to listeners and the store', () => {
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', {
+                store,
+                format: 'json',
+                middleware: [{ inbound: (data, next) => next(data.replace('raw', 'clean')) }]
+            })
+            const listener = vi.fn()
+            const vm = {}
+            Emitter.addListener('onmessage', listener, vm)
+
+            observer.WebSocket.onmessage({ type: 'message', data: '{"mutation":"raw"}' })
+
+            expect(listener.mock.calls[0][0].data).toBe('{"mutation":"clean"}')
+            expect(listener.mock.calls[0][1]).toEqual({ mutation: 'clean' })
+            expect(store.commit).toHaveBeenCalledWith('clean', { mutation: 'clean' })
+            Emitter.removeListener('onmessage', listener, vm)
+        })
+
+        it('should drop inbound frames that are not passed on', () => {
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', {
+                store,
+                middleware: [{ inbound: (data, next) => { if (data !== 'noise') next() } }]
+            })
+
+            observer.WebSocket.onmessage({ type: 'message', data: 'noise' })
+            observer.WebSocket.onmessage({ type: 'message', data: 'signal' })
+
+            expect(store.commit).toHaveBeenCalledTimes(1)
+            expect(store.commit.mock.calls[0][1].data).toBe('signal')
+        })
+
+        it('should wrap outbound frames sent through $socket', () => {
+            const observer = new Observer('ws://localhost:9090', {
+                format: 'json',
+                middleware: [{ outbound: (data, next) => next(`{"token":"t","body":${data}}`) }]
+            })
+            const rawSend = vi.spyOn(observer.WebSocket, 'rawSend')
+            observer.WebSocket.readyState = MockWebSocket.OPEN
+
+            observer.WebSocket.sendObj({ a: 1 })
+
+            expect(rawSend).toHaveBeenCalledWith('{"token":"t","body":{"a":1}}')
+        })
+
+        it('should queue outbound frames after the middleware ran', async () => {
+            vi.useFakeTimers()
+            const observer = new Observer('ws://localhost:9090', {
+                queue: true,
+                middleware: [{ outbound: (data, next) => { setTimeout(() => next(data + '!'), 10) } }]
+            })
+
+            expect(observer.WebSocket.send('hi')).toBe(true)
+            expect(observer.queue.size.value).toBe(0)
+
+            await vi.advanceTimersByTimeAsync(10)
+            expect(observer.queue.items[0].data).toBe('hi!')
+            vi.useRealTimers()
+        })
+    })
+
+    describe('parse errors', () => {
+        beforeEach(() => {
+            Emitter.listeners.clear()
+        })
+
+        it('should pass undecodable frames on raw by default', () => {
+            const handler = vi.fn()
+            const store = { commit: vi.fn(), dispatch: vi.fn() }
+            Emitter.addListener('onmessage', handler, null)
+            const observer = new Observer('ws://localhost:9090', { format: 'json', store, typeField: 'type' })
+
+            const event = { data: 'pong' }
+            expect(() => observer.WebSocket.onmessage(event)).not.toThrow()
+
+            expect(handler).toHaveBeenCalledWith(event, undefined)
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_ONMESSAGE', event)
+        })
+
+        it('should drop undecodable frames', () => {
+            const handler = vi.fn()
+            const store = { commit: vi.fn() }
+            Emitter.addListener('onmessage', handler, null)
+            const observer = new Observer('ws://localhost:9090', { format: 'json', store, parseError: 'drop' })
+
+            observer.WebSocket.onmessage({ data: 'pong' })
+            observer.WebSocket.onmessage({ data: '{"text":"hi"}' })
+
+            expect(handler).toHaveBeenCalledTimes(1)
+            expect(store.commit).toHaveBeenCalledTimes(1)
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_ONMESSAGE', { text: 'hi' })
+        })
+
+        it('should route undecodable frames to SOCKET_PARSE_ERROR', () => {
+            const handler = vi.fn()
+            const store = { commit: vi.fn() }
+            Emitter.addListener('onmessage', handler, null)
+            const observer = new Observer('ws://localhost:9090', {
+                format: 'json',
+                store,
+                parseError: 'store',
+                mutations: { SOCKET_PARSE_ERROR: 'socketParseError' }
+            })
+
+            const event = { data: '{broken' }
+            observer.WebSocket.onmessage(event)
+
+            expect(handler).not.toHaveBeenCalled()
+            expect(store.commit).toHaveBeenCalledWith('socketParseError', { data: '{broken', error: expect.any(SyntaxError), event })
+        })
+
+        it('should call the SOCKET_PARSE_ERROR action of a Pinia store', () => {
+            const store = { $id: 'socket', $patch: vi.fn(), SOCKET_PARSE_ERROR: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { format: 'json', store, parseError: 'store' })
+
+            observer.WebSocket.onmessage({ data: 'pong' })
+
+            expect(store.SOCKET_PARSE_ERROR).toHaveBeenCalledWith(expect.objectContaining({ data: 'pong' }))
+        })
+
+        it('should warn when routing undecodable frames without a store', () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { })
+            const observer = new Observer('ws://localhost:9090', { format: 'json', parseError: 'store' })
+
+            observer.WebSocket.onmessage({ data: '{broken' })
+
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('no store is set'), expect.any(SyntaxError))
+            warn.mockRestore()
+        })
+
+        it('should decode with a reviver', () => {
+            const store = { commit: vi.fn() }
+            const reviver = (key, value) => key === 'at' ? new Date(value) : value
+            const observer = new Observer('ws://localhost:9090', { format: 'json', store, reviver })
+
+            observer.WebSocket.onmessage({ data: '{"mutation":"setTime","at":"2024-01-01T00:00:00.000Z"}' })
+
+            expect(store.commit.mock.calls[0][1].at).toEqual(new Date('2024-01-01T00:00:00.000Z'))
+        })
+    })
+
+    describe('validation', () => {
+        const validate = { '*': { action: 'string?', namespace: 'string?' } }
+
+        it('should not emit or dispatch rejected messages', () => {
+            const handler = vi.fn()
+            const store = { commit: vi.fn(), dispatch: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { format: 'json', store, validate, $emitter: createEmitter() })
+            observer.emitter.addListener('onmessage', handler, null)
+
+            const event = { data: '{"action":{"evil":true}}' }
+            observer.WebSocket.onmessage(event)
+
+            expect(handler).not.toHaveBeenCalled()
+            expect(store.dispatch).not.toHaveBeenCalled()
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_INVALID_MESSAGE', {
+                message: { action: { evil: true } },
+                error: expect.any(Error),
+                event
+            })
+        })
+
+        it('should handle valid messages as usual', () => {
+            const store = { commit: vi.fn(), dispatch: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { format: 'json', store, validate })
+
+            observer.WebSocket.onmessage({ data: '{"action":"receive","namespace":"chat"}' })
+
+            expect(store.dispatch).toHaveBeenCalledWith('chat/receive', { action: 'receive', namespace: 'chat' })
+        })
+
+        it('should call onInvalidMessage instead of the store', () => {
+            const store = { commit: vi.fn() }
+            const onInvalidMessage = vi.fn()
+            const observer = new Observer('ws://localhost:9090', { format: 'json', store, validate: () => false, onInvalidMessage })
+
+            const event = { data: '{"text":"hi"}' }
+            observer.WebSocket.onmessage(event)
+
+            expect(onInvalidMessage).toHaveBeenCalledWith({ text: 'hi' }, expect.any(Error), event)
+            expect(store.commit).not.toHaveBeenCalled()
+        })
+
+        it('should not resolve requests with rejected replies', async () => {
+            const observer = new Observer('ws://localhost:9090', { format: 'json', validate: (msg) => msg.ok, onInvalidMessage: () => { } })
+            observer.WebSocket.readyState = MockWebSocket.OPEN
+            const promise = observer.request({ id: 1 }, { timeout: 0 })
+
+            observer.WebSocket.onmessage({ data: '{"id":1}' })
+            observer.WebSocket.onmessage({ data: '{"id":1,"ok":true}' })
+
+            await expect(promise).resolves.toEqual({ id: 1, ok: true })
+        })
+
+        it('should validate frames that fail to decode as raw data', () => {
+            const handler = vi.fn()
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { format: 'json', store, validate: { '*': { type: 'string' } }, $emitter: createEmitter() })
+            observer.emitter.addListener('onmessage', handler, null)
+
+            const event = { data: 'not json' }
+            observer.WebSocket.onmessage(event)
+
+            expect(handler).not.toHaveBeenCalled()
+            expect(store.commit).toHaveBeenCalledTimes(1)
+            expect(store.commit).toHaveBeenCalledWith('SOCKET_INVALID_MESSAGE', { message: 'not json', error: expect.any(Error), event })
+        })
+    })
+
     describe('store integration', () => {
         it('should detect Vuex store', () => {
             const vuexStore = {
@@ -296,6 +1208,96 @@ describe('Observer', () => {
             )
         })
 
+        it('should call the Pinia action named by a JSON message', () => {
+            const piniaStore = { $id: 'main', $patch: vi.fn(), newMessage: vi.fn(), SET_MESSAGE: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { store: piniaStore, format: 'json' })
+
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"action":"newMessage","text":"hi"}' })
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"mutation":"SET_MESSAGE"}' })
+
+            expect(piniaStore.newMessage).toHaveBeenCalledWith({ action: 'newMessage', text: 'hi' })
+            expect(piniaStore.SET_MESSAGE).toHaveBeenCalledWith({ mutation: 'SET_MESSAGE' })
+        })
+
+        it('should fall back to SOCKET_ONMESSAGE for JSON messages without action', () => {
+            const piniaStore = { $patch: vi.fn(), SOCKET_ONMESSAGE: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { store: piniaStore, format: 'json' })
+
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"text":"hi"}' })
+
+            expect(piniaStore.SOCKET_ONMESSAGE).toHaveBeenCalledWith({ text: 'hi' })
+        })
+
+        it('should resolve the namespace to a registered Pinia store by id', () => {
+            const mainStore = { $id: 'main', $patch: vi.fn(), newMessage: vi.fn() }
+            const chatStore = { $id: 'chat', $patch: vi.fn(), newMessage: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', {
+                store: mainStore,
+                stores: [chatStore],
+                format: 'json'
+            })
+
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"namespace":"chat","action":"newMessage"}' })
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"namespace":"main","action":"newMessage"}' })
+
+            expect(chatStore.newMessage).toHaveBeenCalledTimes(1)
+            expect(mainStore.newMessage).toHaveBeenCalledTimes(1)
+        })
+
+        it('should route to Pinia stores without a default store', () => {
+            const chatStore = { $id: 'chat', $patch: vi.fn(), newMessage: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { stores: [chatStore], format: 'json' })
+
+            observer.WebSocket.onmessage({ data: '{"namespace":"chat","action":"newMessage"}' })
+
+            expect(chatStore.newMessage).toHaveBeenCalled()
+        })
+
+        it('should apply the mutations mapping to Pinia targets', () => {
+            const mainStore = { $patch: vi.fn(), wsOpen: vi.fn() }
+            const chatStore = { $id: 'chat', $patch: vi.fn(), onNewMessage: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', {
+                store: mainStore,
+                stores: [chatStore],
+                format: 'json',
+                mutations: { SOCKET_ONOPEN: 'wsOpen', 'chat/newMessage': 'chat/onNewMessage' }
+            })
+
+            observer.passToStore('SOCKET_ONOPEN', { type: 'open' })
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"namespace":"chat","action":"newMessage"}' })
+
+            expect(mainStore.wsOpen).toHaveBeenCalledWith({ type: 'open' })
+            expect(chatStore.onNewMessage).toHaveBeenCalled()
+        })
+
+        it('should let passToStoreHandler wrap Pinia routing', () => {
+            const piniaStore = { $patch: vi.fn(), renamed: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', {
+                store: piniaStore,
+                format: 'json',
+                passToStoreHandler (eventName, event, next) {
+                    next(eventName, { data: JSON.stringify({ ...JSON.parse(event.data), action: 'renamed' }) })
+                }
+            })
+
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"action":"original"}' })
+
+            expect(piniaStore.renamed).toHaveBeenCalledWith({ action: 'renamed' })
+        })
+
+        it('should warn when the Pinia store for a namespace is not registered', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { })
+            const observer = new Observer('ws://localhost:9090', {
+                store: { $id: 'main', $patch: vi.fn() },
+                format: 'json'
+            })
+
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"namespace":"admin","action":"drop"}' })
+
+            expect(warnSpy).toHaveBeenCalledWith('[vue-native-socket] Pinia store "admin" not found')
+            warnSpy.mockRestore()
+        })
+
         it('should warn when Pinia action not found', () => {
             const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { })
             const piniaStore = { $patch: vi.fn() }
@@ -311,6 +1313,24 @@ describe('Observer', () => {
             )
             warnSpy.mockRestore()
         })
+
+        it('should not call Pinia built-ins or inherited methods from messages', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { })
+            const piniaStore = { $id: 'main', $patch: vi.fn(), $reset: vi.fn(), _internal: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', { store: piniaStore, format: 'json' })
+
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"action":"$patch","admin":true}' })
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"action":"$reset"}' })
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"action":"_internal"}' })
+            observer.passToStore('SOCKET_ONMESSAGE', { data: '{"action":"toString"}' })
+
+            expect(piniaStore.$patch).not.toHaveBeenCalled()
+            expect(piniaStore.$reset).not.toHaveBeenCalled()
+            expect(piniaStore._internal).not.toHaveBeenCalled()
+            expect(warnSpy).toHaveBeenCalledTimes(4)
+            expect(warnSpy).toHaveBeenCalledWith('[vue-native-socket] Pinia action "$patch" not found in store')
+            warnSpy.mockRestore()
+        })
     })
 })
 
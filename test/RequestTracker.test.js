@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import RequestTracker from '../src/RequestTracker'
+
+describe('RequestTracker', () => {
+    afterEach(() => {
+        vi.useRealTimers()
+    })
+
+    it('should stamp payloads with incrementing ids', () => {
+        const tracker = new RequestTracker()
+
+        expect(tracker.create({ a: 1 }).message).toEqual({ a: 1, id: 1 })
+        expect(tracker.create({ a: 2 }).message).toEqual({ a: 2, id: 2 })
+    })
+
+    it('should use a configurable correlation field', () => {
+        const tracker = new RequestTracker({ field: 'requestId' })
+
+        expect(tracker.create({}).message).toEqual({ requestId: 1 })
+    })
+
+    it('should keep an id already present in the payload', () => {
+        const tracker = new RequestTracker()
+
+        expect(tracker.create({ id: 'abc' }).message.id).toBe('abc')
+    })
+
+    it('should resolve with the matching reply', async () => {
+        const tracker = new RequestTracker()
+        const { message, promise } = tracker.create({ type: 'get' })
+
+        expect(tracker.resolve({ id: 999 })).toBe(false)
+        expect(tracker.resolve({ id: message.id, result: 42 })).toBe(true)
+
+        await expect(promise).resolves.toEqual({ id: message.id, result: 42 })
+        expect(tracker.pending.size).toBe(0)
+    })
+
+    it('should report the round-trip time of answered requests', () => {
+        vi.useFakeTimers()
+        const onReply = vi.fn()
+        const tracker = new RequestTracker({}, { onReply })
+        const { message, promise } = tracker.create({})
+
+        vi.advanceTimersByTime(25)
+        tracker.resolve({ id: message.id })
+
+        expect(onReply).toHaveBeenCalledWith(25)
+        return promise
+    })
+
+    it('should ignore non-object messages', () => {
+        const tracker = new RequestTracker()
+        tracker.create({})
+
+        expect(tracker.resolve('1')).toBe(false)
+        expect(tracker.resolve(null)).toBe(false)
+    })
+
+    it('should reject on timeout', async () => {
+        vi.useFakeTimers()
+        const tracker = new RequestTracker({ timeout: 100 })
+        const { promise } = tracker.create({})
+        const assertion = expect(promise).rejects.toThrow('timed out after 100ms')
+
+        vi.advanceTimersByTime(100)
+
+        await assertion
+        expect(tracker.pending.size).toBe(0)
+    })
+
+    it('should allow per-request timeouts', async () => {
+        vi.useFakeTimers()
+        const tracker = new RequestTracker({ timeout: 10000 })
+        const { promise } = tracker.create({}, { timeout: 50 })
+        const assertion = expect(promise).rejects.toThrow('timed out after 50ms')
+
+        vi.advanceTimersByTime(50)
+
+        await assertion
+    })
+
+    it('should reject all pending requests', async () => {
+        const tracker = new RequestTracker()
+        const first = tracker.create({}).promise
+        const second = tracker.create({}).promise
+
+        tracker.rejectAll(new Error('closed'))
+
+        await expect(first).rejects.toThrow('closed')
+        await expect(second).rejects.toThrow('closed')
+    })
+})
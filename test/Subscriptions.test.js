@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import Subscriptions from '../src/Subscriptions'
+
+describe('Subscriptions', () => {
+    let send
+    let open
+
+    beforeEach(() => {
+        send = vi.fn()
+        open = true
+    })
+
+    const create = (options) => new Subscriptions(options, { send, isOpen: () => open })
+
+    it('should send a subscribe frame for the first handler only', () => {
+        const subscriptions = create()
+
+        subscriptions.add('prices', () => { })
+        subscriptions.add('prices', () => { })
+
+        expect(send).toHaveBeenCalledTimes(1)
+        expect(send).toHaveBeenCalledWith({ type: 'subscribe', topic: 'prices' })
+    })
+
+    it('should send an unsubscribe frame when the last handler leaves', () => {
+        const subscriptions = create()
+        const first = subscriptions.add('prices', () => { })
+        const second = subscriptions.add('prices', () => { })
+
+        first()
+        expect(send).not.toHaveBeenCalledWith({ type: 'unsubscribe', topic: 'prices' })
+
+        second()
+        expect(send).toHaveBeenLastCalledWith({ type: 'unsubscribe', topic: 'prices' })
+        expect(subscriptions.size).toBe(0)
+    })
+
+    it('should ignore removing unknown handlers', () => {
+        const subscriptions = create()
+
+        expect(subscriptions.remove('prices', () => { })).toBe(false)
+        expect(send).not.toHaveBeenCalled()
+    })
+
+    it('should not send frames while closed and replay them later', () => {
+        open = false
+        const subscriptions = create()
+
+        subscriptions.add('a', () => { })
+        subscriptions.add('b', () => { })
+        expect(send).not.toHaveBeenCalled()
+
+        subscriptions.replay()
+        expect(send.mock.calls).toEqual([
+            [{ type: 'subscribe', topic: 'a' }],
+            [{ type: 'subscribe', topic: 'b' }]
+        ])
+    })
+
+    it('should dispatch messages to the handlers of their topic', () => {
+        const subscriptions = create()
+        const pricesHandler = vi.fn()
+        const newsHandler = vi.fn()
+        subscriptions.add('prices', pricesHandler)
+        subscriptions.add('news', newsHandler)
+
+        expect(subscriptions.dispatch({ topic: 'prices', value: 1 })).toBe(true)
+        expect(subscriptions.dispatch({ topic: 'weather' })).toBe(false)
+        expect(subscriptions.dispatch('raw text')).toBe(false)
+
+        expect(pricesHandler).toHaveBeenCalledWith({ topic: 'prices', value: 1 })
+        expect(newsHandler).not.toHaveBeenCalled()
+    })
+
+    it('should report handler errors and keep calling the other handlers', async () => {
+        const onError = vi.fn()
+        const subscriptions = new Subscriptions({}, { send, isOpen: () => open, onError })
+        const error = new Error('boom')
+        const rejection = new Error('later')
+        const handler = vi.fn()
+        subscriptions.add('prices', () => { throw error })
+        subscriptions.add('prices', () => Promise.reject(rejection))
+        subscriptions.add('prices', handler)
+
+        expect(subscriptions.dispatch({ topic: 'prices' })).toBe(true)
+        await Promise.resolve()
+
+        expect(handler).toHaveBeenCalledWith({ topic: 'prices' })
+        expect(onError).toHaveBeenCalledWith(error, { label: 'prices' })
+        expect(onError).toHaveBeenCalledWith(rejection, { label: 'prices' })
+    })
+
+    it('should use custom frames and topic matching', () => {
+        const subscriptions = create({
+            subscribe: (topic) => ({ op: 'sub', channel: topic }),
+            unsubscribe: (topic) => ({ op: 'unsub', channel: topic }),
+            topic: (msg) => msg.channel
+        })
+        const handler = vi.fn()
+
+        const remove = subscriptions.add('chat', handler)
+        subscriptions.dispatch({ channel: 'chat' })
+        remove()
+
+        expect(send.mock.calls).toEqual([[{ op: 'sub', channel: 'chat' }], [{ op: 'unsub', channel: 'chat' }]])
+        expect(handler).toHaveBeenCalledTimes(1)
+    })
+})
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest'
+import { jsonCodec, textCodec, msgpackCodec, resolveCodec, encodeMessage } from '../src/codecs'
+import { encode, decode } from '../src/msgpack'
+
+const hex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')
+
+describe('codecs', () => {
+    describe('resolveCodec', () => {
+        it('should resolve built-in codecs by name', () => {
+            expect(resolveCodec('json')).toBe(jsonCodec)
+            expect(resolveCodec('text')).toBe(textCodec)
+            expect(resolveCodec('MsgPack')).toBe(msgpackCodec)
+        })
+
+        it('should return null when no codec is configured', () => {
+            expect(resolveCodec(undefined)).toBeNull()
+        })
+
+        it('should accept custom codecs', () => {
+            const codec = { encode: (v) => v, decode: (v) => v }
+
+            expect(resolveCodec(codec)).toBe(codec)
+        })
+
+        it('should apply a reviver to the JSON codec only', () => {
+            const reviver = (key, value) => typeof value === 'number' ? BigInt(value) : value
+            const codec = resolveCodec('json', { reviver })
+
+            expect(codec).not.toBe(jsonCodec)
+            expect(codec.decode('{"n":1}')).toEqual({ n: 1n })
+            expect(codec.encode({ a: 1 })).toBe('{"a":1}')
+            expect(resolveCodec('msgpack', { reviver })).toBe(msgpackCodec)
+        })
+
+        it('should reject unknown names and incomplete codecs', () => {
+            expect(() => resolveCodec('xml')).toThrow('Unknown codec "xml"')
+            expect(() => resolveCodec({ encode: () => '' })).toThrow('encode() and decode()')
+        })
+    })
+
+    describe('encodeMessage', () => {
+        it('should only encode objects with text-based codecs', () => {
+            expect(encodeMessage(jsonCodec, { a: 1 })).toBe('{"a":1}')
+            expect(encodeMessage(jsonCodec, 'raw')).toBe('raw')
+        })
+
+        it('should encode every value with binary codecs', () => {
+            expect(encodeMessage(msgpackCodec, 'hi')).toBeInstanceOf(Uint8Array)
+        })
+
+        it('should pass values through without a codec', () => {
+            const message = { a: 1 }
+
+            expect(encodeMessage(null, message)).toBe(message)
+        })
+    })
+
+    describe('textCodec', () => {
+        it('should keep frames as-is', () => {
+            expect(textCodec.decode('{"a":1}')).toBe('{"a":1}')
+            expect(textCodec.encode(42)).toBe('42')
+        })
+    })
+
+    describe('msgpack', () => {
+        it('should match the reference encoding', () => {
+            expect(hex(encode({ compact: true, schema: 0 }))).toBe('82a7636f6d70616374c3a6736368656d6100')
+            expect(hex(encode([1, -1, 300, -300, null]))).toBe('9501ffcd012cd1fed4c0')
+        })
+
+        it('should round-trip common values', () => {
+            const value = {
+                str: 'héllo',
+                long: 'x'.repeat(300),
+                ints: [0, 127, 128, 65535, 65536, -32, -33, -129, -40000, 2 ** 40],
+                float: 1.5,
+                flags: [true, false],
+                nested: { list: Array.from({ length: 20 }, (_, i) => i) }
+            }
+
+            expect(decode(encode(value))).toEqual(value)
+        })
+
+        it('should round-trip binary data and dates', () => {
+            const bytes = new Uint8Array([1, 2, 3])
+            const date = new Date('2024-01-02T03:04:05.678Z')
+
+            const result = decode(encode({ bytes, date }))
+
+            expect(Array.from(result.bytes)).toEqual([1, 2, 3])
+            expect(result.date.getTime()).toBe(date.getTime())
+        })
+
+        it('should decode ArrayBuffer input through the codec', () => {
+            const buffer = encode({ type: 'tick' }).buffer
+
+            expect(msgpackCodec.decode(buffer)).toEqual({ type: 'tick' })
+        })
+
+        it('should keep a "__proto__" key as a plain property', () => {
+            const msg = decode(encode(JSON.parse('{"__proto__":{"action":"evil"}}')))
+
+            expect(Object.getPrototypeOf(msg)).toBe(Object.prototype)
+            expect(msg.action).toBeUndefined()
+            expect(Object.keys(msg)).toEqual(['__proto__'])
+        })
+
+        it('should throw on truncated or invalid data', () => {
+            expect(() => decode(new Uint8Array([0x92, 0x01]))).toThrow('Truncated')
+            expect(() => decode(new Uint8Array([0xc1]))).toThrow('Invalid MessagePack byte')
+        })
+    })
+})
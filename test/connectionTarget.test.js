@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import { resolveTarget } from '../src/connectionTarget'
+
+describe('resolveTarget', () => {
+    it('should resolve plain URLs synchronously', () => {
+        expect(resolveTarget('ws://host')).toEqual({ url: 'ws://host', protocols: undefined, baseUrl: 'ws://host' })
+        expect(resolveTarget('ws://host', { protocol: 'chat' })).toEqual({ url: 'ws://host', protocols: 'chat', baseUrl: 'ws://host' })
+    })
+
+    it('should call URL functions on every resolve', () => {
+        let n = 0
+        const url = () => `ws://host/${++n}`
+
+        expect(resolveTarget(url).url).toBe('ws://host/1')
+        expect(resolveTarget(url).url).toBe('ws://host/2')
+    })
+
+    it('should add tokens as an encoded query parameter', () => {
+        expect(resolveTarget('ws://host', { token: () => 'a b' }).url).toBe('ws://host?token=a%20b')
+        expect(resolveTarget('ws://host?x=1', { token: () => 't', tokenParam: 'auth' }).url).toBe('ws://host?x=1&auth=t')
+        expect(resolveTarget('ws://host?x=1', { token: () => 't' }).baseUrl).toBe('ws://host?x=1')
+    })
+
+    it('should append tokens to the subprotocols', () => {
+        expect(resolveTarget('ws://host', { token: () => 't', tokenIn: 'protocol' }).protocols).toBe('t')
+        expect(resolveTarget('ws://host', { protocol: 'chat', token: () => 't', tokenIn: 'protocol' }).protocols).toEqual(['chat', 't'])
+    })
+
+    it('should skip empty tokens', () => {
+        expect(resolveTarget('ws://host', { token: () => null }).url).toBe('ws://host')
+        expect(resolveTarget('ws://host', { token: () => '' }).url).toBe('ws://host')
+    })
+
+    it('should return a promise when the URL or token is async', async () => {
+        const target = resolveTarget(async () => 'ws://host', { token: async () => 't' })
+
+        expect(target).toBeInstanceOf(Promise)
+        await expect(target).resolves.toEqual({ url: 'ws://host?token=t', protocols: undefined, baseUrl: 'ws://host' })
+    })
+
+    it('should turn provider errors into a rejected promise', async () => {
+        const failure = new Error('no token')
+
+        await expect(resolveTarget('ws://host', { token: () => { throw failure } })).rejects.toBe(failure)
+        await expect(resolveTarget('ws://host', { token: () => Promise.reject(failure) })).rejects.toBe(failure)
+    })
+})
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { setupDevtoolsPlugin } from '@vue/devtools-api'
+import VueNativeSock from '../src/Main'
+import Emitter from '../src/Emitter'
+import { setupDevtools } from '../src/devtools'
+import { MockServer } from '../src/testing'
+
+vi.mock('@vue/devtools-api', () => ({ setupDevtoolsPlugin: vi.fn() }))
+
+function createApi() {
+    const hooks = {}
+    return {
+        events: [],
+        hooks,
+        now: () => 42,
+        on: {
+            getInspectorTree: (handler) => { hooks.tree = handler },
+            getInspectorState: (handler) => { hooks.state = handler }
+        },
+        addTimelineLayer: vi.fn(),
+        addInspector: vi.fn(),
+        addTimelineEvent(options) { this.events.push(options.event) },
+        sendInspectorTree: vi.fn(),
+        sendInspectorState: vi.fn(),
+        tree(filter) {
+            const payload = { inspectorId: 'vue-native-socket', filter, rootNodes: [] }
+            hooks.tree(payload)
+            return payload.rootNodes
+        },
+        state(nodeId) {
+            const payload = { inspectorId: 'vue-native-socket', nodeId, state: null }
+            hooks.state(payload)
+            return payload.state
+        }
+    }
+}
+
+describe('devtools', () => {
+    let api
+    let server
+    let app
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        Emitter.listeners.clear()
+        api = createApi()
+        setupDevtoolsPlugin.mockReset()
+        setupDevtoolsPlugin.mockImplementation((descriptor, setup) => setup(api))
+        server = new MockServer().install()
+        app = { config: { globalProperties: {} }, mixin: vi.fn(), provide: vi.fn() }
+    })
+
+    afterEach(() => {
+        server.uninstall()
+        vi.useRealTimers()
+    })
+
+    const titles = () => api.events.map((event) => event.title)
+
+    it('should register a timeline layer and an inspector for the app', async () => {
+        setupDevtools(app)
+        await vi.dynamicImportSettled()
+
+        expect(setupDevtoolsPlugin).toHaveBeenCalledWith(expect.objectContaining({ id: 'native-websocket-vue3', app }), expect.any(Function))
+        expect(api.addTimelineLayer).toHaveBeenCalledWith(expect.objectContaining({ id: 'vue-native-socket:frames' }))
+        expect(api.addInspector).toHaveBeenCalledWith(expect.objectContaining({ id: 'vue-native-socket' }))
+    })
+
+    it('should not load unless the devtools option is set', async () => {
+        VueNativeSock.install(app, 'ws://localhost:9090')
+        await vi.dynamicImportSettled()
+
+        expect(setupDevtoolsPlugin).not.toHaveBeenCalled()
+    })
+
+    it('should record frames and connection events on the timeline', async () => {
+        VueNativeSock.install(app, 'ws://localhost:9090', { devtools: true })
+        await vi.advanceTimersByTimeAsync(0)
+        const socket = server.clients[0]
+
+        app.config.globalProperties.$socket.send('ping')
+        server.send('pong')
+        server.close(4000, 'Bye', socket)
+        await vi.advanceTimersByTimeAsync(0)
+
+        expect(titles()).toEqual(['Open', 'Sent', 'Received', 'Close'])
+        expect(api.events[1]).toMatchObject({ subtitle: 'ping', data: { connection: 'default', direction: 'out', frame: 'ping' } })
+        expect(api.events[2]).toMatchObject({ subtitle: 'pong', data: { direction: 'in' } })
+        expect(api.events[3]).toMatchObject({ data: { code: 4000, reason: 'Bye' } })
+    })
+
+    it('should record reconnects and failures', async () => {
+        VueNativeSock.install(app, 'ws://localhost:9090', { devtools: true, reconnection: true, reconnectionAttempts: 1, reconnectionDelay: 10 })
+        await vi.advanceTimersByTimeAsync(0)
+
+        server.drop()
+        await vi.advanceTimersByTimeAsync(11)
+        server.drop()
+        await vi.advanceTimersByTimeAsync(11)
+
+        expect(titles()).toContain('Reconnect')
+        expect(api.events.find((event) => event.title === 'Close')).toMatchObject({ logType: 'error' })
+    })
+
+    it('should show which store target a message was dispatched to', async () => {
+        const store = { commit: vi.fn(), dispatch: vi.fn() }
+        VueNativeSock.install(app, 'ws://localhost:9090', { devtools: true, format: 'json', store })
+        await vi.advanceTimersByTimeAsync(0)
+
+        server.send({ namespace: 'chat', action: 'receive', text: 'hi' })
+        await vi.advanceTimersByTimeAsync(0)
+
+        expect(api.events[api.events.length - 1]).toMatchObject({
+            title: 'vuex dispatch',
+            subtitle: 'chat/receive',
+            data: { store: 'vuex', method: 'dispatch', target: 'chat/receive' }
+        })
+        expect(api.state('default').store).toEqual([{ key: 'last dispatch', value: { store: 'vuex', method: 'dispatch', target: 'chat/receive' } }])
+    })
+
+    it('should replay events recorded while the devtools API loads', async () => {
+        const devtools = setupDevtools(app)
+        devtools.connection('default', { observer: () => null, emitter: Emitter }).frame('out', 'early')
+        expect(api.events).toEqual([])
+
+        await vi.dynamicImportSettled()
+
+        expect(api.events).toEqual([expect.objectContaining({ title: 'Sent', subtitle: 'early' })])
+    })
+
+    it('should list connections with their state and sockets handlers', async () => {
+        VueNativeSock.install(app, 'ws://localhost:9090', {
+            devtools: true,
+            connections: { chat: 'ws://localhost:9091' }
+        })
+        await vi.advanceTimersByTimeAsync(0)
+        const vm = { $options: { name: 'ChatPanel' } }
+        app.config.globalProperties.$socketEmitter.addListener('onmessage', () => {}, vm)
+
+        expect(api.tree()).toEqual([
+            expect.objectContaining({ id: 'default', tags: [expect.objectContaining({ label: 'connected' })] }),
+            expect.objectContaining({ id: 'chat' })
+        ])
+        expect(api.tree('ch').map((node) => node.id)).toEqual(['chat'])
+
+        const state = api.state('default')
+        expect(state.connection).toContainEqual({ key: 'url', value: 'ws://localhost:9090' })
+        expect(state.connection).toContainEqual({ key: 'transport', value: 'websocket' })
+        expect(state.state).toContainEqual({ key: 'status', value: 'CONNECTED' })
+        expect(state['sockets handlers']).toEqual([{ key: 'onmessage', value: ['ChatPanel'] }])
+    })
+})
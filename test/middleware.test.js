@@ -0,0 +1,92 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createPipeline, withData } from '../src/middleware'
+
+describe('createPipeline', () => {
+    it('should return null without handlers for the direction', () => {
+        expect(createPipeline(undefined, 'inbound')).toBeNull()
+        expect(createPipeline([{ outbound: (data, next) => next() }], 'inbound')).toBeNull()
+    })
+
+    it('should run handlers in order and pass transformed data on', () => {
+        const calls = []
+        const pipeline = createPipeline([
+            { inbound: (data, next) => { calls.push(['a', data]); next(data + 1) } },
+            { inbound: (data, next) => { calls.push(['b', data]); next() } }
+        ], 'inbound')
+        const done = vi.fn()
+
+        pipeline(1, done)
+
+        expect(calls).toEqual([['a', 1], ['b', 2]])
+        expect(done).toHaveBeenCalledWith(2)
+    })
+
+    it('should complete synchronously when every handler calls next synchronously', () => {
+        const pipeline = createPipeline([{ outbound: (data, next) => next(`[${data}]`) }], 'outbound')
+        let result
+
+        pipeline('x', (data) => { result = data })
+
+        expect(result).toBe('[x]')
+    })
+
+    it('should drop the frame when next is not called', () => {
+        const pipeline = createPipeline([{ inbound: () => { } }], 'inbound')
+        const done = vi.fn()
+
+        pipeline('x', done)
+
+        expect(done).not.toHaveBeenCalled()
+    })
+
+    it('should support async handlers and delays', async () => {
+        vi.useFakeTimers()
+        const pipeline = createPipeline([
+            { inbound: async (data, next) => next(await Promise.resolve(data.toUpperCase())) },
+            { inbound: (data, next) => { setTimeout(() => next(data + '!'), 50) } }
+        ], 'inbound')
+        const done = vi.fn()
+
+        pipeline('hi', done)
+        await vi.advanceTimersByTimeAsync(49)
+        expect(done).not.toHaveBeenCalled()
+
+        await vi.advanceTimersByTimeAsync(1)
+        expect(done).toHaveBeenCalledWith('HI!')
+        vi.useRealTimers()
+    })
+
+    it('should ignore repeated next calls', () => {
+        const pipeline = createPipeline([{ inbound: (data, next) => { next(); next() } }], 'inbound')
+        const done = vi.fn()
+
+        pipeline('x', done)
+
+        expect(done).toHaveBeenCalledTimes(1)
+    })
+
+    it('should report thrown errors and rejections and drop the frame', async () => {
+        const onError = vi.fn()
+        const failure = new Error('bad frame')
+        const done = vi.fn()
+
+        createPipeline([{ inbound: () => { throw failure } }], 'inbound', onError)('x', done)
+        createPipeline([{ inbound: async () => { throw failure } }], 'inbound', onError)('y', done)
+        await Promise.resolve()
+
+        expect(onError.mock.calls).toEqual([[failure], [failure]])
+        expect(done).not.toHaveBeenCalled()
+    })
+})
+
+describe('withData', () => {
+    it('should copy the event with new data', () => {
+        const target = {}
+        const event = { type: 'message', data: 'raw', origin: 'ws://x', currentTarget: target, timeStamp: 5 }
+
+        const copy = withData(event, 'decoded')
+
+        expect(copy).toMatchObject({ type: 'message', data: 'decoded', origin: 'ws://x', currentTarget: target, timeStamp: 5 })
+        expect(event.data).toBe('raw')
+    })
+})
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeOption } from '../src/options'
+
+class Feature {
+    constructor(options, handlers) {
+        this.options = options
+        this.handlers = handlers
+    }
+}
+
+describe('normalizeOption', () => {
+    it('should return null for disabled options', () => {
+        expect(normalizeOption(false, Feature)).toBeNull()
+        expect(normalizeOption(undefined, Feature)).toBeNull()
+    })
+
+    it('should use defaults for true and pass objects and extra arguments on', () => {
+        const handlers = { send: () => { } }
+
+        expect(normalizeOption(true, Feature).options).toEqual({})
+        expect(normalizeOption({ size: 1 }, Feature, handlers)).toEqual({ options: { size: 1 }, handlers })
+    })
+})
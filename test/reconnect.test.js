@@ -0,0 +1,43 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { getReconnectDelay } from '../src/reconnect'
+
+describe('getReconnectDelay', () => {
+    afterEach(() => {
+        vi.restoreAllMocks()
+    })
+
+    it('should return a fixed delay by default', () => {
+        expect(getReconnectDelay(1, null, { delay: 1000 })).toBe(1000)
+        expect(getReconnectDelay(5, null, { delay: 1000 })).toBe(1000)
+    })
+
+    it('should grow exponentially with backoff', () => {
+        const opts = { delay: 100, backoff: 2 }
+
+        expect(getReconnectDelay(1, null, opts)).toBe(100)
+        expect(getReconnectDelay(2, null, opts)).toBe(200)
+        expect(getReconnectDelay(4, null, opts)).toBe(800)
+    })
+
+    it('should cap the delay at maxDelay', () => {
+        expect(getReconnectDelay(10, null, { delay: 100, backoff: 2, maxDelay: 5000 })).toBe(5000)
+    })
+
+    it('should subtract up to jitter of the delay', () => {
+        vi.spyOn(Math, 'random').mockReturnValue(0.5)
+
+        expect(getReconnectDelay(1, null, { delay: 1000, jitter: 0.4 })).toBe(800)
+    })
+
+    it('should defer to a custom strategy', () => {
+        const strategy = vi.fn(() => 250)
+        const closeEvent = { code: 1006 }
+
+        expect(getReconnectDelay(3, closeEvent, { delay: 1000, strategy })).toBe(250)
+        expect(strategy).toHaveBeenCalledWith(3, closeEvent)
+    })
+
+    it('should stop when the strategy returns false', () => {
+        expect(getReconnectDelay(1, null, { delay: 1000, strategy: () => false })).toBe(false)
+    })
+})
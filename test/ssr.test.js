@@ -0,0 +1,154 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createSSRApp, h } from 'vue'
+import { renderToString } from 'vue/server-renderer'
+import VueNativeSock from '../src/Main'
+import Observer from '../src/Observer'
+import { useWebSocket } from '../src/useWebSocket'
+
+describe('server-side rendering', () => {
+    let WebSocketSpy
+
+    beforeEach(() => {
+        WebSocketSpy = vi.fn()
+        vi.stubGlobal('WebSocket', WebSocketSpy)
+    })
+
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+
+    it('should run without a window', () => {
+        expect(typeof window).toBe('undefined')
+    })
+
+    it('should render useWebSocket state without connecting', async () => {
+        let connection
+        const app = createSSRApp({
+            setup() {
+                connection = useWebSocket('ws://localhost:9090', { queue: true, stats: true, history: true, heartbeat: true, network: true })
+                return () => h('p', connection.status.value)
+            }
+        })
+
+        const html = await renderToString(app)
+        connection.connect()
+
+        expect(html).toBe('<p>DISCONNECTED</p>')
+        expect(WebSocketSpy).not.toHaveBeenCalled()
+        expect(connection.ws.value).toBeNull()
+        expect(connection.send('hi')).toBe(true)
+        expect(connection.queueSize.value).toBe(1)
+        expect(connection.stats.uptime).toBe(0)
+    })
+
+    it('should not keep shared connections between requests', async () => {
+        const render = () => {
+            let connection
+            const app = createSSRApp({
+                setup() {
+                    connection = useWebSocket('ws://localhost:9090', { shared: true })
+                    return () => h('p')
+                }
+            })
+            return renderToString(app).then(() => connection)
+        }
+
+        const first = await render()
+        const second = await render()
+
+        expect(second.data).not.toBe(first.data)
+    })
+
+    it('should install the plugin with inert state', async () => {
+        const app = createSSRApp({
+            render() {
+                return h('p', this.$socketState.status)
+            }
+        })
+        app.use(VueNativeSock, '//localhost:9090', {
+            reconnection: true,
+            stats: true,
+            connections: { chat: 'ws://localhost:9091' }
+        })
+
+        const html = await renderToString(app)
+        const { $socket, $sockets, $socketState, $socketStats } = app.config.globalProperties
+
+        expect(html).toBe('<p>DISCONNECTED</p>')
+        expect(WebSocketSpy).not.toHaveBeenCalled()
+        expect($socket.readyState).toBe(3)
+        expect($sockets.chat.readyState).toBe(3)
+        expect($socketState.status).toBe('DISCONNECTED')
+        expect($socketStats.messagesIn).toBe(0)
+    })
+
+    it('should let components use $socket while rendering', async () => {
+        const app = createSSRApp({
+            created() {
+                this.$socket.sendObj({ type: 'hello' })
+                this.$socket.send('hi')
+            },
+            render() {
+                return h('p')
+            }
+        })
+        app.use(VueNativeSock, 'ws://localhost:9090', { format: 'json', queue: true })
+
+        const html = await renderToString(app)
+
+        expect(html).toBe('<p></p>')
+        expect(WebSocketSpy).not.toHaveBeenCalled()
+        expect(app.config.globalProperties.$socketQueue.size).toBe(2)
+    })
+
+    const browserApp = (mount) => {
+        const app = {
+            config: { globalProperties: {} },
+            provide: vi.fn(),
+            mixin: vi.fn(),
+            mount
+        }
+        app.use = (plugin, ...args) => plugin.install(app, ...args)
+        return app
+    }
+
+    it('should connect the plugin at install in the browser without ssr', () => {
+        vi.stubGlobal('window', {})
+        vi.stubGlobal('document', {})
+        const app = browserApp(vi.fn())
+        app.use(VueNativeSock, 'ws://localhost:9090')
+
+        expect(WebSocketSpy).toHaveBeenCalledTimes(1)
+        expect(app.config.globalProperties.$socket).toBe(WebSocketSpy.mock.instances[0])
+        expect(app.config.globalProperties.$socketState.status).toBe('CONNECTING')
+    })
+
+    it('should connect the plugin with ssr only once the app is mounted in the browser', () => {
+        vi.stubGlobal('window', {})
+        vi.stubGlobal('document', {})
+        const mount = vi.fn(() => {
+            expect(WebSocketSpy).not.toHaveBeenCalled()
+            expect(app.config.globalProperties.$socketState.status).toBe('DISCONNECTED')
+            return 'vm'
+        })
+        const app = browserApp(mount)
+        app.use(VueNativeSock, 'ws://localhost:9090', { ssr: true, connections: { chat: 'ws://localhost:9091' } })
+
+        expect(app.mount('#app')).toBe('vm')
+
+        expect(mount).toHaveBeenCalledWith('#app')
+        expect(WebSocketSpy.mock.calls.map(([url]) => url)).toEqual(['ws://localhost:9090', 'ws://localhost:9091'])
+        expect(app.config.globalProperties.$socket).toBe(WebSocketSpy.mock.instances[0])
+        expect(app.config.globalProperties.$sockets.chat).toBe(WebSocketSpy.mock.instances[1])
+        expect(app.config.globalProperties.$socketState.status).toBe('CONNECTING')
+    })
+
+    it('should keep Observer from opening a socket', () => {
+        const observer = new Observer('//localhost:9090', { format: 'json' })
+
+        expect(WebSocketSpy).not.toHaveBeenCalled()
+        expect(observer.connectionUrl).toBe('//localhost:9090')
+        expect(observer.state.status).toBe('DISCONNECTED')
+    })
+})
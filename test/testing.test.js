@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { MockServer, MockWebSocket } from '../src/testing'
+import Observer from '../src/Observer'
+import { useWebSocket } from '../src/useWebSocket'
+
+describe('MockServer', () => {
+    let server
+
+    afterEach(() => {
+        server.uninstall()
+        vi.useRealTimers()
+    })
+
+    it('should install and restore the global WebSocket', () => {
+        const original = globalThis.WebSocket
+        server = new MockServer('ws://localhost:9090').install()
+
+        expect(globalThis.WebSocket).toBe(MockWebSocket)
+
+        server.uninstall()
+        expect(globalThis.WebSocket).toBe(original)
+    })
+
+    it('should accept connections asynchronously and record sent frames', async () => {
+        server = new MockServer('ws://localhost:9090').install()
+        const socket = new WebSocket('ws://localhost:9090')
+        const onopen = vi.fn()
+        socket.onopen = onopen
+
+        expect(socket.readyState).toBe(WebSocket.CONNECTING)
+        expect(() => socket.send('early')).toThrow('CONNECTING')
+
+        expect(await server.connected()).toBe(socket)
+        expect(onopen.mock.calls[0][0].currentTarget).toBe(socket)
+
+        const listener = vi.fn()
+        socket.addEventListener('message', listener)
+        server.send('hi')
+        expect(listener.mock.calls[0][0].data).toBe('hi')
+
+        socket.send('hello')
+        expect(server.messages).toEqual(['hello'])
+        expect(server.lastMessage).toBe('hello')
+    })
+
+    it('should push frames and encode objects as JSON', async () => {
+        server = new MockServer().install()
+        const socket = new WebSocket('ws://anything')
+        const onmessage = vi.fn()
+        socket.onmessage = onmessage
+        await server.connected()
+
+        server.send('raw')
+        server.send({ a: 1 })
+
+        expect(onmessage.mock.calls.map(([event]) => event.data)).toEqual(['raw', '{"a":1}'])
+    })
+
+    it('should route sockets to the server installed for their URL', async () => {
+        server = new MockServer('ws://localhost:9090').install()
+        const other = new MockServer('ws://localhost:9091').install()
+
+        new WebSocket('ws://localhost:9091')
+        const client = await other.connected()
+
+        expect(client.url).toBe('ws://localhost:9091')
+        expect(server.clients).toHaveLength(0)
+        other.uninstall()
+    })
+
+    it('should fail sockets without a matching server', async () => {
+        server = new MockServer('ws://localhost:9090').install()
+        const socket = new WebSocket('ws://localhost:1234')
+        const onerror = vi.fn()
+        const onclose = vi.fn()
+        socket.onerror = onerror
+        socket.onclose = onclose
+
+        await new Promise((resolve) => setTimeout(resolve, 0))
+
+        expect(onerror).toHaveBeenCalled()
+        expect(onclose.mock.calls[0][0]).toMatchObject({ code: 1006, wasClean: false })
+    })
+
+    it('should simulate close codes, errors and dropped connections', async () => {
+        server = new MockServer().install()
+        const socket = new WebSocket('ws://localhost:9090')
+        const onerror = vi.fn()
+        const onclose = vi.fn()
+        socket.onerror = onerror
+        socket.onclose = onclose
+        await server.connected()
+
+        server.error()
+        expect(onerror).toHaveBeenCalledTimes(1)
+        expect(socket.readyState).toBe(WebSocket.OPEN)
+
+        server.close(4001, 'Unauthorized')
+        expect(onclose.mock.calls[0][0]).toMatchObject({ code: 4001, reason: 'Unauthorized', wasClean: true })
+        expect(server.clients).toHaveLength(0)
+
+        const second = new WebSocket('ws://localhost:9090')
+        second.onclose = onclose
+        await server.connected()
+        server.drop()
+        expect(onclose.mock.calls[1][0]).toMatchObject({ code: 1006, wasClean: false })
+    })
+
+    it('should hold connections until accepted or refused', async () => {
+        vi.useFakeTimers()
+        server = new MockServer('ws://localhost:9090', { autoAccept: false }).install()
+        const first = new WebSocket('ws://localhost:9090')
+        const second = new WebSocket('ws://localhost:9090')
+        const onclose = vi.fn()
+        second.onclose = onclose
+
+        await vi.runAllTimersAsync()
+        expect(server.pending).toEqual([first, second])
+
+        server.accept(first)
+        server.refuse(second, 1006)
+
+        expect(first.readyState).toBe(WebSocket.OPEN)
+        expect(onclose).toHaveBeenCalled()
+    })
+
+    it('should apply latency in both directions', async () => {
+        vi.useFakeTimers()
+        server = new MockServer('ws://localhost:9090', { latency: 50 }).install()
+        const socket = new WebSocket('ws://localhost:9090')
+        const onmessage = vi.fn()
+        socket.onmessage = onmessage
+
+        await vi.advanceTimersByTimeAsync(49)
+        expect(socket.readyState).toBe(WebSocket.CONNECTING)
+        await vi.advanceTimersByTimeAsync(1)
+        expect(socket.readyState).toBe(WebSocket.OPEN)
+
+        socket.send('up')
+        server.send('down')
+        expect(server.messages).toEqual([])
+        expect(onmessage).not.toHaveBeenCalled()
+
+        await vi.advanceTimersByTimeAsync(50)
+        expect(server.messages).toEqual(['up'])
+        expect(onmessage).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reply to client frames through message handlers', async () => {
+        server = new MockServer().install()
+        server.on('message', (data, client) => {
+            if (data === 'ping') { server.send('pong', client) }
+        })
+        const socket = new WebSocket('ws://localhost:9090')
+        const onmessage = vi.fn()
+        socket.onmessage = onmessage
+        await server.connected()
+
+        socket.send('ping')
+
+        expect(onmessage.mock.calls[0][0].data).toBe('pong')
+    })
+
+    it('should plug into Observer through the WebSocket option', async () => {
+        server = new MockServer('ws://localhost:9090')
+        const store = { commit: vi.fn() }
+        const observer = new Observer('ws://localhost:9090', {
+            format: 'json',
+            store,
+            WebSocket: server.createSocket()
+        })
+
+        await server.connected()
+        observer.WebSocket.sendObj({ op: 'hello' })
+        server.send({ mutation: 'setGreeting', text: 'hi' })
+
+        expect(server.messages).toEqual(['{"op":"hello"}'])
+        expect(store.commit).toHaveBeenCalledWith('SOCKET_ONOPEN', expect.anything())
+        expect(store.commit).toHaveBeenCalledWith('setGreeting', { mutation: 'setGreeting', text: 'hi' })
+    })
+
+    it('should plug into useWebSocket and its reconnection', async () => {
+        vi.useFakeTimers()
+        server = new MockServer('ws://localhost:9090').install()
+        const { send, data, status } = useWebSocket('ws://localhost:9090', {
+            json: true,
+            autoReconnect: true,
+            reconnectDelay: 100
+        })
+
+        await vi.advanceTimersByTimeAsync(0)
+        expect(status.value).toBe('CONNECTED')
+
+        send({ op: 'subscribe' })
+        server.send({ price: 3 })
+        expect(server.lastMessage).toBe('{"op":"subscribe"}')
+        expect(data.value).toEqual({ price: 3 })
+
+        server.drop()
+        expect(status.value).toBe('DISCONNECTED')
+        await vi.advanceTimersByTimeAsync(101)
+        expect(status.value).toBe('CONNECTED')
+        expect(server.clients).toHaveLength(1)
+    })
+})
@@ -0,0 +1,298 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { EventSourceSocket, PollingSocket, TransportSelector, createTransport, toHttpUrl } from '../src/transports'
+import { MockWebSocket } from '../src/testing'
+import Observer from '../src/Observer'
+import { useWebSocket } from '../src/useWebSocket'
+
+class MockEventSource {
+    constructor(url, options) {
+        this.url = url
+        this.options = options
+        this.closed = false
+        MockEventSource.instances.push(this)
+    }
+
+    close() {
+        this.closed = true
+    }
+}
+MockEventSource.instances = []
+
+const response = (status, body = '') => ({ ok: status < 400, status, text: () => Promise.resolve(body) })
+
+describe('transports', () => {
+    let fetchMock
+
+    beforeEach(() => {
+        vi.useFakeTimers()
+        MockEventSource.instances = []
+        fetchMock = vi.fn(() => Promise.resolve(response(200)))
+        vi.stubGlobal('EventSource', MockEventSource)
+        vi.stubGlobal('fetch', fetchMock)
+    })
+
+    afterEach(() => {
+        vi.unstubAllGlobals()
+        vi.useRealTimers()
+    })
+
+    it('should map WebSocket URLs to HTTP URLs', () => {
+        expect(toHttpUrl('ws://localhost:9090/live')).toBe('http://localhost:9090/live')
+        expect(toHttpUrl('wss://example.com')).toBe('https://example.com')
+    })
+
+    describe('EventSourceSocket', () => {
+        it('should open, receive and POST sends with the connection id', async () => {
+            const socket = new EventSourceSocket('wss://example.com/live', undefined, { credentials: 'include' })
+            const source = MockEventSource.instances[0]
+            const onmessage = vi.fn()
+            socket.onmessage = onmessage
+
+            expect(source.url).toBe(`https://example.com/live?transport=sse&sid=${socket.sid}`)
+            expect(source.options).toEqual({ withCredentials: true })
+            expect(() => socket.send('early')).toThrow()
+
+            source.onopen()
+            source.onmessage({ data: 'hello' })
+            socket.send('hi')
+            await vi.advanceTimersByTimeAsync(0)
+
+            expect(socket.readyState).toBe(EventSourceSocket.OPEN)
+            expect(onmessage).toHaveBeenCalledWith(expect.objectContaining({ data: 'hello' }))
+            expect(fetchMock).toHaveBeenCalledWith(
+                `https://example.com/live?transport=sse&sid=${socket.sid}`,
+                expect.objectContaining({ method: 'POST', body: 'hi', credentials: 'include' })
+            )
+        })
+
+        it('should close for good when the stream errors', () => {
+            const socket = new EventSourceSocket('ws://localhost:9090', undefined, { sseUrl: (url) => `${url}/stream` })
+            const source = MockEventSource.instances[0]
+            const onerror = vi.fn()
+            const onclose = vi.fn()
+            socket.onerror = onerror
+            socket.onclose = onclose
+
+            expect(source.url).toMatch(/^ws:\/\/localhost:9090\/stream\?transport=sse/)
+            source.onerror()
+
+            expect(source.closed).toBe(true)
+            expect(onerror).toHaveBeenCalled()
+            expect(onclose).toHaveBeenCalledWith(expect.objectContaining({ code: 1006, wasClean: false }))
+        })
+
+        it('should close the stream on close()', async () => {
+            const socket = new EventSourceSocket('ws://localhost:9090')
+            const source = MockEventSource.instances[0]
+            const onclose = vi.fn()
+            socket.onclose = onclose
+            source.onopen()
+
+            socket.close(1000, 'Done')
+            await vi.advanceTimersByTimeAsync(0)
+
+            expect(source.closed).toBe(true)
+            expect(onclose).toHaveBeenCalledWith(expect.objectContaining({ code: 1000, reason: 'Done', wasClean: true }))
+        })
+
+        it('should POST frames one after another', async () => {
+            const pending = []
+            fetchMock.mockImplementation(() => new Promise((resolve) => pending.push(resolve)))
+            const socket = new EventSourceSocket('ws://localhost:9090')
+            MockEventSource.instances[0].onopen()
+
+            socket.send('first')
+            socket.send('second')
+            await vi.advanceTimersByTimeAsync(0)
+            expect(fetchMock.mock.calls.map(([, init]) => init.body)).toEqual(['first'])
+
+            pending[0](response(200))
+            await vi.advanceTimersByTimeAsync(0)
+            expect(fetchMock.mock.calls.map(([, init]) => init.body)).toEqual(['first', 'second'])
+        })
+
+        it('should skip queued frames once a POST fails', async () => {
+            fetchMock.mockResolvedValue(response(500))
+            const socket = new EventSourceSocket('ws://localhost:9090')
+            const onclose = vi.fn()
+            socket.onclose = onclose
+            MockEventSource.instances[0].onopen()
+
+            socket.send('first')
+            socket.send('second')
+            await vi.advanceTimersByTimeAsync(0)
+
+            expect(fetchMock).toHaveBeenCalledTimes(1)
+            expect(onclose).toHaveBeenCalledWith(expect.objectContaining({ code: 1006 }))
+        })
+
+        it('should pass the subprotocols on every request', async () => {
+            const socket = new EventSourceSocket('ws://localhost:9090', ['chat', 'secret-token'])
+            const source = MockEventSource.instances[0]
+            source.onopen()
+            socket.send('hi')
+            await vi.advanceTimersByTimeAsync(0)
+
+            const query = `transport=sse&sid=${socket.sid}&protocols=chat%2Csecret-token`
+            expect(source.url).toBe(`http://localhost:9090?${query}`)
+            expect(fetchMock.mock.calls[0][0]).toBe(`http://localhost:9090?${query}`)
+        })
+    })
+
+    describe('PollingSocket', () => {
+        it('should open with the first poll and deliver response bodies', async () => {
+            fetchMock
+                .mockResolvedValueOnce(response(204))
+                .mockResolvedValueOnce(response(200, 'first'))
+                .mockReturnValue(new Promise(() => {}))
+            const socket = new PollingSocket('ws://localhost:9090', undefined, { pollUrl: 'http://localhost:9090/poll' })
+            const onopen = vi.fn()
+            const onmessage = vi.fn()
+            socket.onopen = onopen
+            socket.onmessage = onmessage
+
+            await vi.advanceTimersByTimeAsync(0)
+            await vi.advanceTimersByTimeAsync(0)
+
+            expect(fetchMock.mock.calls[0][0]).toBe(`http://localhost:9090/poll?transport=polling&sid=${socket.sid}`)
+            expect(onopen).toHaveBeenCalledTimes(1)
+            expect(onmessage).toHaveBeenCalledTimes(1)
+            expect(onmessage).toHaveBeenCalledWith(expect.objectContaining({ data: 'first' }))
+            socket.close()
+        })
+
+        it('should fail on an HTTP error', async () => {
+            fetchMock.mockResolvedValue(response(502))
+            const socket = new PollingSocket('ws://localhost:9090')
+            const onclose = vi.fn()
+            socket.onclose = onclose
+
+            await vi.advanceTimersByTimeAsync(0)
+
+            expect(socket.readyState).toBe(PollingSocket.CLOSED)
+            expect(onclose).toHaveBeenCalledWith(expect.objectContaining({ code: 1006 }))
+        })
+
+        it('should abort the pending poll on close()', async () => {
+            let signal
+            fetchMock.mockImplementation((url, init) => {
+                signal = init.signal
+                return new Promise(() => {})
+            })
+            const socket = new PollingSocket('ws://localhost:9090')
+
+            socket.close()
+
+            expect(signal.aborted).toBe(true)
+        })
+    })
+
+    describe('TransportSelector', () => {
+        const failingSocket = () => {
+            const socket = new MockWebSocket('ws://localhost:9090', undefined, null)
+            return socket
+        }
+
+        it('should fall back after repeated failures to open', async () => {
+            const selector = new TransportSelector({ maxFailures: 2 })
+
+            selector.create('ws://localhost:9090', undefined, failingSocket)
+            await vi.advanceTimersByTimeAsync(0)
+            expect(selector.name).toBe('websocket')
+
+            selector.create('ws://localhost:9090', undefined, failingSocket)
+            await vi.advanceTimersByTimeAsync(0)
+            expect(selector.name).toBe('sse')
+
+            const socket = selector.create('ws://localhost:9090', undefined, failingSocket)
+            expect(socket).toBeInstanceOf(EventSourceSocket)
+            socket.close()
+        })
+
+        it('should reset the failure count once a transport opens', () => {
+            const selector = new TransportSelector({ maxFailures: 2 })
+            const openWebSocket = () => new EventSourceSocket('ws://localhost:9090')
+
+            const first = selector.create('ws://localhost:9090', undefined, openWebSocket)
+            first.fail()
+            const second = selector.create('ws://localhost:9090', undefined, openWebSocket)
+            MockEventSource.instances[1].onopen()
+            second.fail()
+            selector.create('ws://localhost:9090', undefined, openWebSocket).fail()
+
+            expect(selector.name).toBe('websocket')
+        })
+
+        it('should accept custom transports and reject unknown ones', () => {
+            class CustomSocket extends EventSourceSocket {}
+            const custom = new TransportSelector({ fallback: [CustomSocket], maxFailures: 1 })
+            custom.create('ws://localhost:9090', undefined, () => new EventSourceSocket('ws://localhost:9090')).fail()
+
+            expect(custom.name).toBe('CustomSocket')
+            expect(custom.create('ws://localhost:9090', undefined, null)).toBeInstanceOf(CustomSocket)
+
+            const unknown = new TransportSelector({ fallback: ['carrier-pigeon'], maxFailures: 1 })
+            unknown.create('ws://localhost:9090', undefined, () => new EventSourceSocket('ws://localhost:9090')).fail()
+            expect(() => unknown.create('ws://localhost:9090', undefined, null)).toThrow('Unknown transport')
+        })
+
+        it('should be disabled unless configured', () => {
+            expect(createTransport(false)).toBeNull()
+            expect(createTransport(true).transports).toEqual(['websocket', 'sse', 'polling'])
+        })
+    })
+
+    describe('integration', () => {
+        beforeEach(() => {
+            // No MockServer installed: every WebSocket fails to open
+            vi.stubGlobal('WebSocket', MockWebSocket)
+        })
+
+        it('should move useWebSocket to SSE and keep the same surface', async () => {
+            const { status, data, send, disconnect, ws } = useWebSocket('ws://localhost:9090', {
+                autoReconnect: true,
+                reconnectDelay: 10,
+                transport: { fallback: ['sse'], maxFailures: 2 }
+            })
+
+            await vi.advanceTimersByTimeAsync(0)
+            await vi.advanceTimersByTimeAsync(11)
+            await vi.advanceTimersByTimeAsync(11)
+
+            expect(ws.value).toBeInstanceOf(EventSourceSocket)
+            const source = MockEventSource.instances[0]
+            source.onopen()
+            source.onmessage({ data: 'update' })
+            send('hi')
+            await vi.advanceTimersByTimeAsync(0)
+
+            expect(status.value).toBe('CONNECTED')
+            expect(data.value).toBe('update')
+            expect(fetchMock).toHaveBeenCalledWith(expect.stringContaining('transport=sse'), expect.objectContaining({ body: 'hi' }))
+            disconnect()
+        })
+
+        it('should dispatch fallback frames to the store like socket frames', async () => {
+            const store = { commit: vi.fn() }
+            const observer = new Observer('ws://localhost:9090', {
+                format: 'json',
+                store,
+                reconnection: true,
+                reconnectionDelay: 10,
+                transport: { fallback: ['polling'], maxFailures: 1 },
+                $setInstance: () => { }
+            })
+            fetchMock
+                .mockResolvedValueOnce(response(200, '{"mutation":"setGreeting","text":"hi"}'))
+                .mockReturnValue(new Promise(() => {}))
+
+            await vi.advanceTimersByTimeAsync(0)
+            await vi.advanceTimersByTimeAsync(11)
+
+            expect(observer.WebSocket).toBeInstanceOf(PollingSocket)
+            expect(observer.state.status).toBe('CONNECTED')
+            expect(store.commit).toHaveBeenCalledWith('setGreeting', { mutation: 'setGreeting', text: 'hi' })
+            observer.WebSocket.close()
+        })
+    })
+})
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { ref, nextTick } from 'vue'
+import { ref, computed, nextTick, createApp, h } from 'vue'
+import { encode } from '../src/msgpack'
 
 // Mock WebSocket
 class MockWebSocket {
@@ -76,6 +77,24 @@ describe('useWebSocket', () => {
             expect(status.value).toBe('DISCONNECTED')
             expect(isConnected.value).toBe(false)
         })
+
+        it('should connect components once mounted', () => {
+            let result
+            let statusInSetup
+            const app = createApp({
+                setup() {
+                    result = useWebSocket('ws://localhost:9090')
+                    statusInSetup = result.status.value
+                    return () => h('div')
+                }
+            })
+
+            app.mount(document.createElement('div'))
+
+            expect(statusInSetup).toBe('DISCONNECTED')
+            expect(result.status.value).toBe('CONNECTING')
+            app.unmount()
+        })
     })
 
     describe('connection methods', () => {
@@ -139,6 +158,352 @@ describe('useWebSocket', () => {
         })
     })
 
+    describe('reconnection', () => {
+        it('should reconnect with exponential backoff', async () => {
+            const { ws, status } = useWebSocket('ws://localhost:9090', {
+                autoReconnect: true,
+                reconnectDelay: 100,
+                reconnectBackoff: 2
+            })
+            await vi.runAllTimersAsync()
+
+            const timeoutSpy = vi.spyOn(globalThis, 'setTimeout')
+            ws.value.close()
+            expect(timeoutSpy).toHaveBeenLastCalledWith(expect.any(Function), 100)
+
+            await vi.advanceTimersByTimeAsync(100)
+            ws.value.close()
+            expect(timeoutSpy).toHaveBeenLastCalledWith(expect.any(Function), 200)
+
+            timeoutSpy.mockRestore()
+            expect(status.value).toBe('DISCONNECTED')
+        })
+
+        it('should stop when reconnectStrategy returns false', async () => {
+            const reconnectStrategy = vi.fn(() => false)
+            const { ws, status } = useWebSocket('ws://localhost:9090', {
+                autoReconnect: true,
+                reconnectStrategy
+            })
+            await vi.runAllTimersAsync()
+
+            ws.value.close()
+            await vi.runAllTimersAsync()
+
+            expect(reconnectStrategy).toHaveBeenCalledWith(1, { type: 'close' })
+            expect(status.value).toBe('DISCONNECTED')
+        })
+    })
+
+    describe('heartbeat', () => {
+        it('should reconnect when the heartbeat times out', async () => {
+            const { ws, status } = useWebSocket('ws://localhost:9090', {
+                autoReconnect: true,
+                reconnectDelay: 10,
+                heartbeat: { interval: 100, timeout: 50 }
+            })
+            await vi.advanceTimersByTimeAsync(0)
+            const first = ws.value
+            const sendSpy = vi.spyOn(first, 'send')
+
+            await vi.advanceTimersByTimeAsync(100)
+            expect(sendSpy).toHaveBeenCalledWith('ping')
+
+            await vi.advanceTimersByTimeAsync(50)
+            expect(first.readyState).toBe(3)
+
+            await vi.advanceTimersByTimeAsync(20)
+            expect(ws.value).not.toBe(first)
+            expect(status.value).toBe('CONNECTED')
+        })
+
+        it('should not expose pong frames as data', async () => {
+            const { data, ws } = useWebSocket('ws://localhost:9090', { heartbeat: true })
+            await vi.advanceTimersByTimeAsync(0)
+
+            ws.value.onmessage({ data: 'hello' })
+            ws.value.onmessage({ data: 'pong' })
+
+            expect(data.value).toBe('hello')
+        })
+    })
+
+    describe('request', () => {
+        it('should resolve with the matching reply', async () => {
+            const { request, ws, data } = useWebSocket('ws://localhost:9090')
+            await vi.runAllTimersAsync()
+            const spy = vi.spyOn(ws.value, 'send')
+
+            const promise = request({ type: 'sum', args: [1, 2] })
+            ws.value.onmessage({ data: '{"id":1,"result":3}' })
+
+            expect(spy).toHaveBeenCalledWith('{"type":"sum","args":[1,2],"id":1}')
+            await expect(promise).resolves.toEqual({ id: 1, result: 3 })
+            expect(data.value).toBe('{"id":1,"result":3}')
+        })
+
+        it('should keep intercepted replies out of data', async () => {
+            const { request, ws, data } = useWebSocket('ws://localhost:9090', {
+                json: true,
+                rpc: { intercept: true }
+            })
+            await vi.runAllTimersAsync()
+
+            request({})
+            ws.value.onmessage({ data: '{"id":1}' })
+
+            expect(data.value).toBeNull()
+        })
+
+        it('should reject on timeout', async () => {
+            const { request } = useWebSocket('ws://localhost:9090')
+            await vi.runAllTimersAsync()
+
+            const promise = request({}, { timeout: 100 })
+            const assertion = expect(promise).rejects.toThrow('timed out')
+            await vi.advanceTimersByTimeAsync(100)
+
+            await assertion
+        })
+
+        it('should reject when the connection closes', async () => {
+            const { request, disconnect } = useWebSocket('ws://localhost:9090')
+            await vi.runAllTimersAsync()
+
+            const promise = request({})
+            disconnect()
+
+            await expect(promise).rejects.toThrow('Connection closed')
+        })
+
+        it('should reject when not connected', async () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { })
+            const { request } = useWebSocket('ws://localhost:9090', { autoConnect: false })
+
+            await expect(request({})).rejects.toThrow('not connected')
+            warnSpy.mockRestore()
+        })
+    })
+
+    describe('outbound queue', () => {
+        it('should queue while connecting and flush on open', async () => {
+            const { send, ws, queueSize } = useWebSocket('ws://localhost:9090', { queue: true })
+            const spy = vi.spyOn(ws.value, 'send')
+
+            expect(send('first')).toBe(true)
+            expect(send('second')).toBe(true)
+            expect(queueSize.value).toBe(2)
+
+            await vi.runAllTimersAsync()
+
+            expect(spy.mock.calls).toEqual([['first'], ['second']])
+            expect(queueSize.value).toBe(0)
+        })
+
+        it('should stringify queued objects when json option is true', async () => {
+            const { send, ws } = useWebSocket('ws://localhost:9090', { queue: true, json: true })
+            const spy = vi.spyOn(ws.value, 'send')
+
+            send({ a: 1 })
+            await vi.runAllTimersAsync()
+
+            expect(spy).toHaveBeenCalledWith('{"a":1}')
+        })
+
+        it('should report queue size of zero when disabled', () => {
+            const { queueSize } = useWebSocket('ws://localhost:9090', { autoConnect: false })
+
+            expect(queueSize.value).toBe(0)
+        })
+    })
+
+    describe('subscriptions', () => {
+        it('should subscribe on open and route topic messages', async () => {
+            const handler = vi.fn()
+            const { subscribe, ws, data } = useWebSocket('ws://localhost:9090', { json: true })
+            const socket = ws.value
+            const spy = vi.spyOn(socket, 'send')
+
+            subscribe('prices', handler)
+            expect(spy).not.toHaveBeenCalled()
+
+            await vi.runAllTimersAsync()
+            expect(spy).toHaveBeenCalledWith('{"type":"subscribe","topic":"prices"}')
+
+            ws.value.onmessage({ data: '{"topic":"prices","value":3}' })
+            expect(handler).toHaveBeenCalledWith({ topic: 'prices', value: 3 })
+            expect(data.value).toEqual({ topic: 'prices', value: 3 })
+        })
+
+        it('should report a throwing handler without breaking message handling', async () => {
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { })
+            const error = new Error('boom')
+            const { subscribe, ws, data } = useWebSocket('ws://localhost:9090', { json: true })
+            subscribe('prices', () => { throw error })
+            await vi.runAllTimersAsync()
+
+            expect(() => ws.value.onmessage({ data: '{"topic":"prices","value":3}' })).not.toThrow()
+            expect(data.value).toEqual({ topic: 'prices', value: 3 })
+            expect(errorSpy).toHaveBeenCalledWith('[useWebSocket] Error in "prices" subscription handler', error)
+            errorSpy.mockRestore()
+        })
+
+        it('should replay subscriptions after a reconnect', async () => {
+            const { subscribe, ws } = useWebSocket('ws://localhost:9090', {
+                autoReconnect: true,
+                reconnectDelay: 10
+            })
+            await vi.runAllTimersAsync()
+            subscribe('prices', () => { })
+
+            const sendSpy = vi.spyOn(MockWebSocket.prototype, 'send')
+            ws.value.close()
+            await vi.advanceTimersByTimeAsync(20)
+
+            expect(sendSpy).toHaveBeenCalledWith('{"type":"subscribe","topic":"prices"}')
+            sendSpy.mockRestore()
+        })
+
+        it('should unsubscribe when the subscribing component unmounts', async () => {
+            const connection = useWebSocket('ws://localhost:9090')
+            await vi.runAllTimersAsync()
+            const spy = vi.spyOn(connection.ws.value, 'send')
+
+            const app = createApp({
+                setup() {
+                    connection.subscribe('news', () => { })
+                    return () => h('div')
+                }
+            })
+            app.mount(document.createElement('div'))
+            app.unmount()
+
+            expect(spy).toHaveBeenLastCalledWith('{"type":"unsubscribe","topic":"news"}')
+        })
+    })
+
+    describe('shared connections', () => {
+        it('should reuse one socket and state for the same URL', async () => {
+            const first = useWebSocket('ws://localhost:9090/shared', { shared: true })
+            const second = useWebSocket('ws://localhost:9090/shared', { shared: true })
+            await vi.runAllTimersAsync()
+
+            expect(second.ws).toBe(first.ws)
+            expect(second.data).toBe(first.data)
+            expect(second.isConnected.value).toBe(true)
+
+            first.disconnect()
+            second.disconnect()
+        })
+
+        it('should not share across different URLs or protocols', () => {
+            const a = useWebSocket('ws://localhost:9090/a', { shared: true })
+            const b = useWebSocket('ws://localhost:9090/b', { shared: true })
+            const c = useWebSocket('ws://localhost:9090/a', { shared: true, protocol: 'v2' })
+
+            expect(b.ws).not.toBe(a.ws)
+            expect(c.ws).not.toBe(a.ws)
+
+            a.disconnect()
+            b.disconnect()
+            c.disconnect()
+        })
+
+        it('should close the socket only when the last consumer disconnects', async () => {
+            const first = useWebSocket('ws://localhost:9090/refcount', { shared: true })
+            const second = useWebSocket('ws://localhost:9090/refcount', { shared: true })
+            await vi.runAllTimersAsync()
+            const socket = first.ws.value
+
+            first.disconnect()
+            first.disconnect()
+            expect(socket.readyState).toBe(MockWebSocket.OPEN)
+            expect(second.isConnected.value).toBe(true)
+
+            second.disconnect()
+            expect(socket.readyState).toBe(MockWebSocket.CLOSED)
+            expect(second.status.value).toBe('DISCONNECTED')
+        })
+
+        it('should start a fresh connection after the last consumer left', async () => {
+            const first = useWebSocket('ws://localhost:9090/fresh', { shared: true })
+            await vi.runAllTimersAsync()
+            first.disconnect()
+
+            const second = useWebSocket('ws://localhost:9090/fresh', { shared: true })
+
+            expect(second.ws).not.toBe(first.ws)
+            second.disconnect()
+        })
+
+        it('should stop watching a Ref URL once the last consumer left', async () => {
+            const base = ref('ws://localhost:9090/watched')
+            let reads = 0
+            const url = computed(() => {
+                reads++
+                return base.value
+            })
+            const first = useWebSocket(url, { shared: true })
+            await vi.runAllTimersAsync()
+            first.disconnect()
+            const readsAfterRelease = reads
+
+            base.value = 'ws://localhost:9091/watched'
+            await nextTick()
+
+            expect(reads).toBe(readsAfterRelease)
+        })
+
+        it('should follow a Ref URL again when a released consumer reconnects', async () => {
+            const url = ref('ws://localhost:9090/revived')
+            const { ws, connect, disconnect } = useWebSocket(url, { shared: true })
+            await vi.runAllTimersAsync()
+            disconnect()
+
+            connect()
+            await vi.runAllTimersAsync()
+            url.value = 'ws://localhost:9091/revived'
+            await nextTick()
+
+            expect(ws.value.url).toBe('ws://localhost:9091/revived')
+            disconnect()
+        })
+
+        it('should release references on component unmount', async () => {
+            const mountConsumer = () => {
+                let result
+                const app = createApp({
+                    setup() {
+                        result = useWebSocket('ws://localhost:9090/components', { shared: true })
+                        return () => h('div')
+                    }
+                })
+                app.mount(document.createElement('div'))
+                return { app, result }
+            }
+
+            const one = mountConsumer()
+            const two = mountConsumer()
+            await vi.runAllTimersAsync()
+            const socket = one.result.ws.value
+
+            one.app.unmount()
+            expect(socket.readyState).toBe(MockWebSocket.OPEN)
+
+            two.app.unmount()
+            expect(socket.readyState).toBe(MockWebSocket.CLOSED)
+        })
+
+        it('should not open a second socket while connecting', () => {
+            const { connect, ws } = useWebSocket('ws://localhost:9090')
+            const socket = ws.value
+
+            connect()
+
+            expect(ws.value).toBe(socket)
+        })
+    })
+
     describe('data handling', () => {
         it('should update data on message', async () => {
             const { data, ws } = useWebSocket('ws://localhost:9090')
@@ -172,6 +537,398 @@ describe('useWebSocket', () => {
         })
     })
 
+    describe('codecs', () => {
+        it('should encode and decode with the msgpack codec', async () => {
+            const { send, ws, data } = useWebSocket('ws://localhost:9090', { codec: 'msgpack' })
+            await vi.runAllTimersAsync()
+            const spy = vi.spyOn(ws.value, 'send')
+
+            send({ a: 1 })
+            ws.value.onmessage({ data: encode({ b: 2 }).buffer })
+
+            expect(ws.value.binaryType).toBe('arraybuffer')
+            expect(Array.from(spy.mock.calls[0][0])).toEqual(Array.from(encode({ a: 1 })))
+            expect(data.value).toEqual({ b: 2 })
+        })
+
+        it('should let codec override the json flag', async () => {
+            const { ws, data } = useWebSocket('ws://localhost:9090', { json: true, codec: 'text' })
+            await vi.runAllTimersAsync()
+
+            ws.value.onmessage({ data: '{"a":1}' })
+
+            expect(data.value).toBe('{"a":1}')
+        })
+
+        it('should encode requests with the codec', async () => {
+            const { request, ws } = useWebSocket('ws://localhost:9090', { codec: 'msgpack' })
+            await vi.runAllTimersAsync()
+
+            const promise = request({ op: 'get' })
+            ws.value.onmessage({ data: encode({ id: 1, ok: true }).buffer })
+
+            await expect(promise).resolves.toEqual({ id: 1, ok: true })
+        })
+
+        it('should apply binaryType without a codec', async () => {
+            const { ws } = useWebSocket('ws://localhost:9090', { binaryType: 'arraybuffer' })
+
+            expect(ws.value.binaryType).toBe('arraybuffer')
+        })
+    })
+
+    describe('history', () => {
+        it('should keep every message of a burst', async () => {
+            const { ws, history, data } = useWebSocket('ws://localhost:9090', { json: true, history: { maxLength: 2 } })
+            await vi.runAllTimersAsync()
+
+            ws.value.onmessage({ data: '{"n":1}' })
+            ws.value.onmessage({ data: '{"n":2}' })
+            ws.value.onmessage({ data: '{"n":3}' })
+
+            expect(data.value).toEqual({ n: 3 })
+            expect(history.map((entry) => entry.data)).toEqual([{ n: 2 }, { n: 3 }])
+            expect(history[0]).toMatchObject({ direction: 'in', timestamp: expect.any(Number) })
+        })
+
+        it('should record sent messages when outbound is enabled', async () => {
+            const { ws, send, history, clearHistory } = useWebSocket('ws://localhost:9090', { history: { outbound: true } })
+            await vi.runAllTimersAsync()
+
+            send('hello')
+            ws.value.onmessage({ data: 'hello back' })
+
+            expect(history.map(({ direction, data }) => [direction, data])).toEqual([['out', 'hello'], ['in', 'hello back']])
+
+            clearHistory()
+            expect(history).toHaveLength(0)
+        })
+
+        it('should not record messages that were not sent', () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => { })
+            const { send, history } = useWebSocket('ws://localhost:9090', { autoConnect: false, history: { outbound: true } })
+
+            send('lost')
+
+            expect(history).toHaveLength(0)
+            vi.restoreAllMocks()
+        })
+
+        it('should return an empty history when disabled', async () => {
+            const { ws, history } = useWebSocket('ws://localhost:9090')
+            await vi.runAllTimersAsync()
+
+            ws.value.onmessage({ data: 'x' })
+
+            expect(history).toEqual([])
+        })
+    })
+
+    describe('stats', () => {
+        it('should count traffic, reconnects and latency', async () => {
+            const { stats, ws, send, request } = useWebSocket('ws://localhost:9090', {
+                autoReconnect: true,
+                reconnectDelay: 10,
+                stats: true
+            })
+            await vi.advanceTimersByTimeAsync(0)
+
+            send('hello')
+            ws.value.onmessage({ data: 'hi' })
+            const promise = request({})
+            await vi.advanceTimersByTimeAsync(15)
+            ws.value.onmessage({ data: '{"id":1}' })
+            await promise
+
+            expect(stats).toMatchObject({ messagesOut: 2, bytesOut: 13, messagesIn: 2, bytesIn: 10, latency: 15 })
+            expect(stats.connectedAt).not.toBeNull()
+
+            ws.value.close()
+            await vi.advanceTimersByTimeAsync(11)
+            expect(stats.reconnects).toBe(1)
+        })
+
+        it('should call onStats periodically until disconnected', async () => {
+            const onStats = vi.fn()
+            const { disconnect } = useWebSocket('ws://localhost:9090', { stats: { interval: 100, onStats } })
+            await vi.advanceTimersByTimeAsync(0)
+
+            await vi.advanceTimersByTimeAsync(200)
+            disconnect()
+            await vi.advanceTimersByTimeAsync(200)
+
+            expect(onStats).toHaveBeenCalledTimes(2)
+            expect(onStats).toHaveBeenCalledWith(expect.objectContaining({ messagesIn: 0, uptime: expect.any(Number) }))
+        })
+
+        it('should be null unless enabled', () => {
+            const { stats } = useWebSocket('ws://localhost:9090', { autoConnect: false })
+
+            expect(stats).toBeNull()
+        })
+    })
+
+    describe('network awareness', () => {
+        let online
+        let visibility
+
+        beforeEach(() => {
+            online = true
+            visibility = 'visible'
+            Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online })
+            Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibility })
+        })
+
+        afterEach(() => {
+            delete navigator.onLine
+            delete document.visibilityState
+        })
+
+        it('should pause reconnection while offline and resume when online', async () => {
+            const { ws, status, disconnect } = useWebSocket('ws://localhost:9090', {
+                autoReconnect: true,
+                reconnectDelay: 5000,
+                network: true
+            })
+            await vi.runAllTimersAsync()
+
+            online = false
+            ws.value.close()
+            await vi.advanceTimersByTimeAsync(60000)
+            expect(ws.value).toBeNull()
+
+            online = true
+            window.dispatchEvent(new Event('online'))
+            await vi.advanceTimersByTimeAsync(0)
+            expect(status.value).toBe('CONNECTED')
+            disconnect()
+        })
+
+        it('should close hidden connections and reopen them when visible', async () => {
+            const { ws, status, disconnect } = useWebSocket('ws://localhost:9090', {
+                network: { closeWhenHidden: 1000 }
+            })
+            await vi.runAllTimersAsync()
+
+            visibility = 'hidden'
+            document.dispatchEvent(new Event('visibilitychange'))
+            await vi.advanceTimersByTimeAsync(1000)
+            expect(status.value).toBe('DISCONNECTED')
+
+            visibility = 'visible'
+            document.dispatchEvent(new Event('visibilitychange'))
+            await vi.advanceTimersByTimeAsync(0)
+            expect(status.value).toBe('CONNECTED')
+            expect(ws.value).not.toBeNull()
+            disconnect()
+        })
+
+        it('should stay closed after an explicit disconnect', async () => {
+            const { ws, disconnect } = useWebSocket('ws://localhost:9090', { autoReconnect: true, network: true })
+            await vi.runAllTimersAsync()
+
+            disconnect()
+            window.dispatchEvent(new Event('online'))
+
+            expect(ws.value).toBeNull()
+        })
+    })
+
+    describe('dynamic URLs', () => {
+        it('should reconnect to the new endpoint when a Ref URL changes', async () => {
+            const url = ref('ws://localhost:9090')
+            const { ws, status } = useWebSocket(url)
+            await vi.runAllTimersAsync()
+            const first = ws.value
+            const closeSpy = vi.spyOn(first, 'close')
+
+            url.value = 'ws://localhost:9091'
+            await nextTick()
+
+            expect(closeSpy).toHaveBeenCalled()
+            expect(ws.value.url).toBe('ws://localhost:9091')
+            await vi.runAllTimersAsync()
+            expect(status.value).toBe('CONNECTED')
+        })
+
+        it('should not connect on Ref changes while disconnected', async () => {
+            const url = ref('ws://localhost:9090')
+            const { ws } = useWebSocket(url, { autoConnect: false })
+
+            url.value = 'ws://localhost:9091'
+            await nextTick()
+
+            expect(ws.value).toBeNull()
+        })
+
+        it('should fetch a fresh token on every reconnect', async () => {
+            let n = 0
+            const { ws } = useWebSocket('ws://localhost:9090', {
+                token: async () => `t${++n}`,
+                autoReconnect: true,
+                reconnectDelay: 100
+            })
+            await vi.runAllTimersAsync()
+            expect(ws.value.url).toBe('ws://localhost:9090?token=t1')
+
+            ws.value.close()
+            await vi.advanceTimersByTimeAsync(101)
+
+            expect(ws.value.url).toBe('ws://localhost:9090?token=t2')
+        })
+
+        it('should ignore a pending URL after disconnect', async () => {
+            const { ws, connect, disconnect, status } = useWebSocket(async () => 'ws://localhost:9090', { autoConnect: false })
+
+            connect()
+            expect(status.value).toBe('CONNECTING')
+            disconnect()
+            await vi.runAllTimersAsync()
+
+            expect(ws.value).toBeNull()
+            expect(status.value).toBe('DISCONNECTED')
+        })
+
+        it('should ignore the old socket closing late while the new URL resolves', async () => {
+            const url = ref('ws://localhost:9090')
+            const { ws, status, stats } = useWebSocket(url, {
+                token: async () => 'secret',
+                autoReconnect: true,
+                reconnectDelay: 100,
+                stats: true
+            })
+            await vi.advanceTimersByTimeAsync(0)
+            const first = ws.value
+            vi.spyOn(first, 'close').mockImplementation(() => {})
+
+            url.value = 'ws://localhost:9091'
+            await nextTick()
+            first.onclose({ type: 'close', code: 1000 })
+
+            expect(status.value).toBe('CONNECTING')
+            await vi.advanceTimersByTimeAsync(101)
+            expect(ws.value.url).toBe('ws://localhost:9091?token=secret')
+            expect(status.value).toBe('CONNECTED')
+            expect(stats.reconnects).toBe(0)
+        })
+
+        it('should surface token errors', async () => {
+            const failure = new Error('expired')
+            const { error, status } = useWebSocket('ws://localhost:9090', { token: () => Promise.reject(failure) })
+            await vi.runAllTimersAsync()
+
+            expect(error.value).toBe(failure)
+            expect(status.value).toBe('ERROR')
+        })
+    })
+
+    describe('middleware', () => {
+        it('should transform inbound frames before updating data', async () => {
+            const { ws, data } = useWebSocket('ws://localhost:9090', {
+                json: true,
+                middleware: [{ inbound: (frame, next) => next(frame.replace('1', '2')) }]
+            })
+            await vi.runAllTimersAsync()
+
+            ws.value.onmessage({ data: '{"a":1}' })
+
+            expect(data.value).toEqual({ a: 2 })
+        })
+
+        it('should drop and delay inbound frames', async () => {
+            const { ws, data } = useWebSocket('ws://localhost:9090', {
+                middleware: [
+                    { inbound: (frame, next) => { if (frame !== 'ping') next() } },
+                    { inbound: (frame, next) => { setTimeout(next, 100) } }
+                ]
+            })
+            await vi.runAllTimersAsync()
+
+            ws.value.onmessage({ data: 'ping' })
+            ws.value.onmessage({ data: 'hello' })
+            expect(data.value).toBeNull()
+
+            await vi.advanceTimersByTimeAsync(100)
+            expect(data.value).toBe('hello')
+        })
+
+        it('should run encoded outbound frames through async middleware', async () => {
+            const { send, ws } = useWebSocket('ws://localhost:9090', {
+                json: true,
+                middleware: [{ outbound: async (frame, next) => next(`auth:${frame}`) }]
+            })
+            await vi.runAllTimersAsync()
+            const spy = vi.spyOn(ws.value, 'send')
+
+            expect(send({ a: 1 })).toBe(true)
+            await Promise.resolve()
+
+            expect(spy).toHaveBeenCalledWith('auth:{"a":1}')
+        })
+    })
+
+    describe('reviver', () => {
+        it('should decode JSON data with the reviver', async () => {
+            const reviver = (key, value) => key === 'at' ? new Date(value) : value
+            const { data, ws } = useWebSocket('ws://localhost:9090', { json: true, reviver })
+            await vi.runAllTimersAsync()
+
+            ws.value.onmessage({ data: '{"at":"2024-01-01T00:00:00.000Z"}' })
+
+            expect(data.value.at).toBeInstanceOf(Date)
+        })
+    })
+
+    describe('validation', () => {
+        it('should keep rejected messages out of data and history', async () => {
+            const onInvalidMessage = vi.fn()
+            const { data, history, ws } = useWebSocket('ws://localhost:9090', {
+                json: true,
+                history: true,
+                validate: { chat: { text: 'string' } },
+                onInvalidMessage
+            })
+            await vi.runAllTimersAsync()
+
+            ws.value.onmessage({ data: '{"type":"chat","text":"hi"}' })
+            ws.value.onmessage({ data: '{"type":"chat","text":42}' })
+
+            expect(data.value).toEqual({ type: 'chat', text: 'hi' })
+            expect(history).toHaveLength(1)
+            expect(onInvalidMessage).toHaveBeenCalledWith({ type: 'chat', text: 42 }, expect.any(Error))
+        })
+
+        it('should validate raw frames without a codec and warn by default', async () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => { })
+            const { data, ws } = useWebSocket('ws://localhost:9090', {
+                validate: (frame) => frame.startsWith('ok:')
+            })
+            await vi.runAllTimersAsync()
+
+            ws.value.onmessage({ data: 'ok:1' })
+            ws.value.onmessage({ data: 'nope' })
+
+            expect(data.value).toBe('ok:1')
+            expect(warn).toHaveBeenCalledWith('[useWebSocket] Invalid message dropped', expect.any(Error))
+            warn.mockRestore()
+        })
+
+        it('should validate frames that fail to decode as raw data', async () => {
+            const onInvalidMessage = vi.fn()
+            const { data, ws } = useWebSocket('ws://localhost:9090', {
+                json: true,
+                validate: { '*': { type: 'string' } },
+                onInvalidMessage
+            })
+            await vi.runAllTimersAsync()
+
+            ws.value.onmessage({ data: 'not json' })
+
+            expect(data.value).toBeNull()
+            expect(onInvalidMessage).toHaveBeenCalledWith('not json', expect.any(Error))
+        })
+    })
+
     describe('error handling', () => {
         it('should set error on WebSocket error', async () => {
             const { error, ws, status } = useWebSocket('ws://localhost:9090')
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { createValidator } from '../src/validation'
+
+describe('createValidator', () => {
+    it('should be disabled without validate', () => {
+        expect(createValidator(undefined)).toBeNull()
+    })
+
+    it('should accept messages a validator function returns truthy for', () => {
+        const validate = createValidator((msg) => typeof msg.text === 'string')
+
+        expect(validate({ text: 'hi' })).toBeNull()
+        expect(validate({ text: 1 })).toBeInstanceOf(Error)
+    })
+
+    it('should reject messages a validator throws for', () => {
+        const error = new Error('Bad payload')
+        const validate = createValidator(() => { throw error })
+
+        expect(validate({})).toBe(error)
+    })
+
+    it('should pick schemas by message type with a fallback', () => {
+        const validate = createValidator({
+            chatMessage: (msg) => typeof msg.text === 'string',
+            '*': (msg) => msg.action === undefined
+        }, { typeField: 'event' })
+
+        expect(validate({ event: 'chatMessage', text: 'hi' })).toBeNull()
+        expect(validate({ event: 'chatMessage' })).toBeInstanceOf(Error)
+        expect(validate({ event: 'other', action: 'deleteAll' })).toBeInstanceOf(Error)
+        expect(validate({ event: 'other' })).toBeNull()
+    })
+
+    it('should let unlisted types pass without a fallback', () => {
+        const validate = createValidator({ chatMessage: () => false })
+
+        expect(validate({ type: 'tick' })).toBeNull()
+        expect(validate('not an object')).toBeNull()
+    })
+
+    it('should use the parse() method of schema objects', () => {
+        const schema = {
+            parse(msg) {
+                if (!msg.id) { throw new TypeError('id is required') }
+                return msg
+            }
+        }
+        const validate = createValidator({ user: schema })
+
+        expect(validate({ type: 'user', id: 1 })).toBeNull()
+        expect(validate({ type: 'user' }).message).toBe('id is required')
+    })
+
+    it('should check field types of plain object schemas', () => {
+        const validate = createValidator({
+            chatMessage: { text: 'string', tags: 'array', namespace: 'string?' }
+        })
+
+        expect(validate({ type: 'chatMessage', text: 'hi', tags: [] })).toBeNull()
+        expect(validate({ type: 'chatMessage', text: 'hi', tags: [], namespace: 'chat' })).toBeNull()
+        expect(validate({ type: 'chatMessage', text: 'hi', tags: [], namespace: 7 }).message)
+            .toBe('[vue-native-socket] Invalid message field "namespace", expected string?')
+        expect(validate({ type: 'chatMessage', text: 'hi', tags: 'a' }).message).toContain('"tags"')
+    })
+})
@@ -1,20 +1,271 @@
-import type { App, Ref, ShallowRef } from 'vue'
+import type { App, InjectionKey, Ref, ShallowRef } from 'vue'
 import type { Store } from 'vuex'
 
+// Outbound queue options
+export interface QueueOptions {
+    /** Max buffered messages, further sends are dropped (default: Infinity) */
+    maxSize?: number
+    /** Drop buffered messages older than this many ms (default: 0, never) */
+    ttl?: number
+}
+
+// Message history options
+export interface HistoryOptions {
+    /** Max entries, the oldest are dropped first (default: 100) */
+    maxLength?: number
+    /** Return false to leave a message out of the history */
+    filter?: (data: any, direction: 'in' | 'out') => boolean
+    /** Value to record instead of the message */
+    map?: (data: any, direction: 'in' | 'out') => any
+    /** Also record messages sent with `send()` and `request()` (default: false) */
+    outbound?: boolean
+}
+
+export interface HistoryEntry<T = any> {
+    direction: 'in' | 'out'
+    data: T
+    /** Time the message was received or sent (ms) */
+    timestamp: number
+}
+
+// Connection statistics options
+export interface StatsOptions {
+    /** Interval in ms for `onStats` snapshots and `uptime` refreshes (default: 5000) */
+    interval?: number
+    /** Latency samples averaged into `averageLatency` (default: 10) */
+    samples?: number
+    /** Called with a plain snapshot every interval from connect until disconnect, reconnect gaps included */
+    onStats?: (snapshot: ConnectionStatsSnapshot) => void
+}
+
+// Reactive traffic and latency counters of a connection
+export interface ConnectionStats {
+    messagesIn: number
+    messagesOut: number
+    /** Bytes received, UTF-8 for text frames */
+    bytesIn: number
+    /** Bytes sent, UTF-8 for text frames */
+    bytesOut: number
+    /** Reconnect attempts since the stats were created */
+    reconnects: number
+    /** Time (ms) of the last received frame */
+    lastMessageAt: number | null
+    /** Time (ms) the current connection opened */
+    connectedAt: number | null
+    /** Duration (ms) of the current connection */
+    uptime: number
+    /** Last round-trip time (ms) from ping/pong or request/response */
+    latency: number | null
+    /** Mean of the recent round-trip times (ms) */
+    averageLatency: number | null
+}
+
+export interface ConnectionStatsSnapshot extends ConnectionStats {
+    /** Time (ms) the snapshot was taken */
+    timestamp: number
+}
+
+// Online/offline and page visibility handling
+export interface NetworkOptions {
+    /** Close the connection after the page is hidden this many ms (true: at once) and reopen it when visible (default: false) */
+    closeWhenHidden?: boolean | number
+}
+
+// Constructor of a custom fallback transport with the WebSocket interface
+export type TransportConstructor = new (url: string, protocols: string | string[] | undefined, options: TransportOptions) => WebSocket
+
+// Fallback to HTTP transports when WebSocket upgrades fail
+export interface TransportOptions {
+    /** Transports tried in order after WebSocket (default: ['sse', 'polling']) */
+    fallback?: Array<'sse' | 'polling' | TransportConstructor>
+    /** Consecutive failures to open before moving to the next transport (default: 2) */
+    maxFailures?: number
+    /** EventSource URL, or a function of the socket URL (default: the URL over http(s)) */
+    sseUrl?: string | ((url: string) => string)
+    /** Long-polling URL, or a function of the socket URL (default: the URL over http(s)) */
+    pollUrl?: string | ((url: string) => string)
+    /** URL sends are POSTed to, or a function of the socket URL (default: the URL over http(s)) */
+    sendUrl?: string | ((url: string) => string)
+    /** Pause between polls in ms (default: 0) */
+    pollInterval?: number
+    /** fetch credentials mode; 'include' also sends EventSource credentials (default: 'same-origin') */
+    credentials?: RequestCredentials
+    /** Extra headers for HTTP requests */
+    headers?: Record<string, string>
+}
+
+// One socket shared by all tabs of the origin
+export interface CrossTabOptions {
+    /** Tabs using the same name share a socket (default: the URL without the token) */
+    name?: string
+    /** Leader heartbeat interval in ms where Web Locks are unavailable (default: 1000) */
+    heartbeatInterval?: number
+    /** Take over after this long without a leader heartbeat, in ms (default: 3000) */
+    leaderTimeout?: number
+}
+
+// Heartbeat options
+export interface HeartbeatOptions {
+    /** Ping interval in ms (default: 30000) */
+    interval?: number
+    /** Max silence after a ping before the socket is closed, in ms (default: 10000) */
+    timeout?: number
+    /** Ping frame, or a function returning it (default: 'ping') */
+    message?: string | (() => string | ArrayBufferLike | Blob | ArrayBufferView)
+    /** Pong frame, or a predicate; pongs are not passed on to consumers (default: 'pong') */
+    pong?: string | ((data: any) => boolean)
+}
+
+// Request/response options
+export interface RpcOptions {
+    /** Correlation id field stamped on requests and matched on replies (default: 'id') */
+    field?: string
+    /** Default request timeout in ms, 0 to wait forever (default: 10000) */
+    timeout?: number
+    /** Keep matched replies out of the normal message path (default: false) */
+    intercept?: boolean
+}
+
+export interface RequestOptions {
+    /** Reject after this many ms (default: rpc.timeout) */
+    timeout?: number
+}
+
+// Topic subscription protocol
+export interface SubscriptionOptions {
+    /** Build the subscribe frame (default: { type: 'subscribe', topic }) */
+    subscribe?: (topic: string) => any
+    /** Build the unsubscribe frame (default: { type: 'unsubscribe', topic }) */
+    unsubscribe?: (topic: string) => any
+    /** Extract the topic of a decoded inbound message (default: msg.topic) */
+    topic?: (msg: any) => string | undefined
+}
+
+/** Removes a topic handler */
+export type Unsubscribe = () => boolean
+
+// Message codec
+export interface Codec<T = any> {
+    /** Optional codec name */
+    name?: string
+    /** WebSocket binaryType to set so `decode` receives frames in the expected form */
+    binaryType?: BinaryType
+    /** Encode a value into a frame */
+    encode(value: T): string | ArrayBufferLike | Blob | ArrayBufferView
+    /** Decode a frame into a value */
+    decode(data: any): T
+}
+
+export type CodecOption = 'json' | 'text' | 'msgpack' | Codec
+
+export const jsonCodec: Codec
+export const textCodec: Codec<string>
+export const msgpackCodec: Codec
+
+export type JsonReviver = (this: any, key: string, value: any) => any
+
+/** JSON codec decoding with `reviver` */
+export function createJsonCodec(options?: { reviver?: JsonReviver }): Codec
+
+/** Middleware handler: pass the frame on with `next()` or `next(newData)`, or never call it to drop the frame */
+export type MiddlewareHandler = (data: any, next: (data?: any) => void) => void | Promise<void>
+
+// Frame middleware, run in array order
+export interface Middleware {
+    /** Raw inbound frames, before decoding */
+    inbound?: MiddlewareHandler
+    /** Encoded outbound frames, before sending or queueing */
+    outbound?: MiddlewareHandler
+}
+
+/** Accepts a decoded message by returning a truthy value; a falsy return or a thrown error rejects it */
+export type MessageValidator = (message: any) => unknown
+
+/** Validator, schema object with a throwing `parse()` (e.g. zod), or field names mapped to their `typeof` (`'string?'` allows missing) */
+export type MessageSchema = MessageValidator | { parse(message: any): unknown } | Record<string, string>
+
+/** A validator for every message, or schemas keyed by message type with `'*'` for unlisted types */
+export type ValidateOption = MessageValidator | Record<string, MessageSchema>
+
+/** URL, or a function called on every connect and reconnect that returns one */
+export type UrlProvider = string | (() => string | Promise<string>)
+
+/** Returns an auth token on every connect and reconnect; empty values are skipped */
+export type TokenProvider = () => string | null | undefined | Promise<string | null | undefined>
+
+/** Returns the delay in ms before reconnect attempt `attempt` (1-based), or false to stop */
+export type ReconnectStrategy = (attempt: number, closeEvent: CloseEvent) => number | false
+
 // Plugin options
 export interface VueNativeSockOptions {
     /** Vuex or Pinia store instance */
     store?: Store<any> | ReturnType<typeof import('pinia').defineStore>
+    /** Additional Pinia stores, selected by JSON message `namespace` matching their id */
+    stores?: Array<{ $id: string, [key: string]: any }>
     /** WebSocket sub-protocol */
     protocol?: string
+    /** Auth token provider, called on every connect and reconnect */
+    token?: TokenProvider
+    /** Send the token as a query parameter or as an extra subprotocol (default: 'query') */
+    tokenIn?: 'query' | 'protocol'
+    /** Query parameter name for the token (default: 'token') */
+    tokenParam?: string
     /** Enable JSON message parsing/stringifying */
     format?: 'json'
+    /** Message codec, overrides `format` (sendObj encodes with it, handlers and store receive decoded values) */
+    codec?: CodecOption
+    /** `JSON.parse` reviver for the JSON codec, e.g. to revive dates or big numbers */
+    reviver?: JsonReviver
+    /** Frames the codec cannot decode: handled raw, dropped, or only passed to the store as SOCKET_PARSE_ERROR `{ data, error, event }` (default: 'raw') */
+    parseError?: 'raw' | 'drop' | 'store'
+    /** WebSocket binaryType, defaults to the codec's */
+    binaryType?: BinaryType
+    /** With format 'json' or a codec, emit each message under the name found in this field to `sockets` handlers */
+    typeField?: string
     /** Enable automatic reconnection */
     reconnection?: boolean
     /** Maximum number of reconnection attempts */
     reconnectionAttempts?: number
     /** Delay between reconnection attempts in milliseconds */
     reconnectionDelay?: number
+    /** Multiplier applied to the delay after each attempt (default: 1, fixed delay) */
+    reconnectionBackoff?: number
+    /** Upper bound for the reconnection delay in milliseconds (default: Infinity) */
+    reconnectionDelayMax?: number
+    /** Random fraction (0-1) subtracted from each delay (default: 0) */
+    reconnectionJitter?: number
+    /** Custom reconnection schedule, overrides delay, backoff and jitter */
+    reconnectStrategy?: ReconnectStrategy
+    /** Pause reconnection while offline and reconnect as soon as the network returns */
+    network?: boolean | NetworkOptions
+    /** Share one socket across browser tabs; the leader tab relays frames to the others */
+    crossTab?: boolean | CrossTabOptions
+    /** Server-rendered app: open the default and named connections once `app.mount()` returns, after hydration (default: false) */
+    ssr?: boolean
+    /** Fall back to Server-Sent Events or long-polling when WebSocket upgrades keep failing */
+    transport?: boolean | TransportOptions
+    /** Ping on an interval and close the socket when no frame arrives in time */
+    heartbeat?: boolean | HeartbeatOptions
+    /** Settings for `$socket.request()` */
+    rpc?: RpcOptions
+    /** Topic protocol for `$socket.subscribe()` */
+    subscriptions?: SubscriptionOptions
+    /** Buffer sends while connecting or reconnecting and flush them on open */
+    queue?: boolean | QueueOptions
+    /** Inspect, transform, drop or delay frames between the socket and handlers, store and `$socket.send` */
+    middleware?: Middleware[]
+    /** Check decoded messages (raw frames that fail to decode) before handlers, requests and the store; schemas are keyed by `typeField` (default: 'type') */
+    validate?: ValidateOption
+    /** Receives rejected messages; without it they are committed to the store as SOCKET_INVALID_MESSAGE `{ message, error, event }` */
+    onInvalidMessage?: (message: any, error: Error, event: MessageEvent) => void
+    /** Add a frame timeline and a connection inspector to Vue Devtools (default: false) */
+    devtools?: boolean
+    /** Track traffic and latency in `$socketStats`; a function receives periodic snapshots (default: false) */
+    stats?: boolean | StatsOptions | ((snapshot: ConnectionStatsSnapshot) => void)
+    /** Receives errors thrown or rejected by `sockets` handlers (default: console.error) */
+    onListenerError?: ListenerErrorHandler
+    /** Additional named connections, reachable as `$sockets[name]` */
+    connections?: Record<string, string | NamedConnectionOptions>
     /** Enable manual connection (don't connect automatically) */
     connectManually?: boolean
     /** Custom mutation names mapping */
@@ -34,9 +285,15 @@ export interface VueNativeSockOptions {
     ) => void
 }
 
+// Named connection definition
+export interface NamedConnectionOptions extends Omit<VueNativeSockOptions, 'connections' | 'connectManually'> {
+    /** WebSocket URL of this connection */
+    url: UrlProvider
+}
+
 // useWebSocket composable options
 export interface UseWebSocketOptions {
-    /** Whether to connect immediately (default: true) */
+    /** Whether to connect immediately, or once mounted when called in a component (default: true) */
     autoConnect?: boolean
     /** Whether to reconnect on disconnect (default: false) */
     autoReconnect?: boolean
@@ -44,10 +301,58 @@ export interface UseWebSocketOptions {
     reconnectAttempts?: number
     /** Delay between reconnect attempts in ms (default: 1000) */
     reconnectDelay?: number
+    /** Multiplier applied to the delay after each attempt (default: 1, fixed delay) */
+    reconnectBackoff?: number
+    /** Upper bound for the reconnect delay in ms (default: Infinity) */
+    reconnectDelayMax?: number
+    /** Random fraction (0-1) subtracted from each delay (default: 0) */
+    reconnectJitter?: number
+    /** Custom reconnection schedule, overrides delay, backoff and jitter */
+    reconnectStrategy?: ReconnectStrategy
+    /** Pause reconnection while offline and reconnect as soon as the network returns */
+    network?: boolean | NetworkOptions
+    /** Share one socket across browser tabs; the leader tab relays frames to the others */
+    crossTab?: boolean | CrossTabOptions
+    /** Fall back to Server-Sent Events or long-polling when WebSocket upgrades keep failing */
+    transport?: boolean | TransportOptions
     /** WebSocket sub-protocol */
     protocol?: string
+    /** Auth token provider, called on every connect and reconnect */
+    token?: TokenProvider
+    /** Send the token as a query parameter or as an extra subprotocol (default: 'query') */
+    tokenIn?: 'query' | 'protocol'
+    /** Query parameter name for the token (default: 'token') */
+    tokenParam?: string
     /** Whether to auto-parse/stringify JSON (default: false) */
     json?: boolean
+    /** Message codec, overrides `json` */
+    codec?: CodecOption
+    /** `JSON.parse` reviver for the JSON codec, e.g. to revive dates or big numbers */
+    reviver?: JsonReviver
+    /** WebSocket binaryType, defaults to the codec's */
+    binaryType?: BinaryType
+    /** Ping on an interval and close the socket when no frame arrives in time (default: false) */
+    heartbeat?: boolean | HeartbeatOptions
+    /** Settings for `request()` */
+    rpc?: RpcOptions
+    /** Topic protocol for `subscribe()` */
+    subscriptions?: SubscriptionOptions
+    /** Buffer sends while not connected and flush them on open (default: false) */
+    queue?: boolean | QueueOptions
+    /** Keep recent messages in `history` (default: false) */
+    history?: boolean | HistoryOptions
+    /** Track traffic and latency in `stats`; a function receives periodic snapshots (default: false) */
+    stats?: boolean | StatsOptions | ((snapshot: ConnectionStatsSnapshot) => void)
+    /** Inspect, transform, drop or delay frames between the socket and `data` / `send()` */
+    middleware?: Middleware[]
+    /** Check messages before `data`, history, requests and subscriptions; decoded messages with a codec, raw frames without one or when decoding fails */
+    validate?: ValidateOption
+    /** Field holding the message type for `validate` schemas (default: 'type') */
+    typeField?: string
+    /** Receives rejected messages (default: console.warn) */
+    onInvalidMessage?: (message: any, error: Error) => void
+    /** Reuse one reference-counted socket and its state across calls with the same URL and protocol (default: false) */
+    shared?: boolean
 }
 
 // useWebSocket return type
@@ -62,25 +367,38 @@ export interface UseWebSocketReturn<T = any> {
     status: Ref<'DISCONNECTED' | 'CONNECTING' | 'CONNECTED' | 'ERROR'>
     /** Whether currently connected */
     isConnected: Ref<boolean>
+    /** Number of messages waiting in the outbound queue */
+    queueSize: Ref<number>
+    /** Recent messages, oldest first (empty unless `history` is enabled) */
+    history: HistoryEntry[]
+    /** Reactive traffic and latency counters (null unless `stats` is enabled) */
+    stats: ConnectionStats | null
     /** Connect to the WebSocket server */
     connect: () => void
     /** Disconnect from the WebSocket server */
     disconnect: () => void
-    /** Send data through the WebSocket */
+    /** Send data through the WebSocket, or queue it when `queue` is enabled */
     send: (message: string | object) => boolean
+    /** Send a JSON request and resolve with the reply carrying the same correlation id */
+    request: <R = any>(payload: object, options?: RequestOptions) => Promise<R>
+    /** Subscribe to a topic; replayed on every reconnect, removed on unmount when called in setup */
+    subscribe: (topic: string, handler: (msg: any) => void) => Unsubscribe
+    /** Remove all entries from `history` */
+    clearHistory: () => void
 }
 
 /**
- * Composition API composable for WebSocket connections.
+ * Composition API composable for WebSocket connections. A Ref URL reconnects
+ * an active connection when it changes.
  */
 export function useWebSocket<T = any>(
-    url: string,
+    url: UrlProvider | Ref<string>,
     options?: UseWebSocketOptions
 ): UseWebSocketReturn<T>
 
 // Vue plugin
 export interface VueNativeSockPlugin {
-    install: (app: App, connection: string, opts?: VueNativeSockOptions) => void
+    install: (app: App, connection: UrlProvider | null, opts?: VueNativeSockOptions) => void
 }
 
 declare const VueNativeSock: VueNativeSockPlugin
@@ -90,27 +408,109 @@ export default VueNativeSock
 export class Observer {
     constructor(connectionUrl: string, opts?: VueNativeSockOptions)
     WebSocket: WebSocket
+    queue: MessageQueue | null
+    /** Open the connection; a no-op on the server or once started */
+    start(): void
+    /** Close for good, stopping reconnection, heartbeat, network and stats tracking and clearing the queue */
+    disconnect(): void
     connect(connectionUrl: string, opts?: VueNativeSockOptions): WebSocket
-    reconnect(): void
+    reconnect(closeEvent?: CloseEvent): void
+    send(data: string | ArrayBufferLike | Blob | ArrayBufferView): boolean
+    request<R = any>(payload: object, options?: RequestOptions): Promise<R>
+    subscribe(topic: string, handler: (msg: any) => void): Unsubscribe
+}
+
+// Outbound message queue
+export interface MessageQueue {
+    size: Ref<number>
+    push(data: any): boolean
+    flush(send: (data: any) => void): void
+    clear(): void
+}
+
+// Reactive plugin connection state
+export interface SocketState {
+    status: 'DISCONNECTED' | 'CONNECTING' | 'CONNECTED' | 'ERROR'
+    /** Last error event, cleared on open */
+    error: Event | null
+    /** Reconnection attempts since the last successful open */
+    reconnectAttempts: number
+    /** Code of the last close event, cleared on open */
+    closeCode: number | null
+    /** Timestamp (ms) of the current connection's open event */
+    connectedAt: number | null
+}
+
+// Plugin socket instance
+export type PluginSocket = WebSocket & {
+    /** Send an object encoded with the codec (when format: 'json' or a codec is set) */
+    sendObj?: (obj: object) => void
+    /** Send a JSON request and resolve with the reply carrying the same correlation id */
+    request: <R = any>(payload: object, options?: RequestOptions) => Promise<R>
+    /** Subscribe to a topic; replayed on every reconnect */
+    subscribe: (topic: string, handler: (msg: any) => void) => Unsubscribe
+}
+
+// Component socket event handlers
+export interface SocketHandlers {
+    onopen?: (event: Event) => void
+    onclose?: (event: CloseEvent) => void
+    onerror?: (event: Event) => void
+    onmessage?: (event: MessageEvent, decoded?: any) => void
+    /** Handlers for message types routed via `typeField`, called with the parsed message */
+    [type: string]: ((payload: any) => void) | undefined
 }
 
 // Emitter singleton
+export type EmitterLabel = string | RegExp
+
+export type ListenerErrorHandler = (error: unknown, context: { label: string, vm: any }) => void
+
 export interface EmitterInstance {
-    addListener(label: string, callback: Function, vm: any): boolean
-    removeListener(label: string, callback: Function, vm: any): boolean
+    /** Labels with `*` (one segment) or `**` (any segments) and RegExp labels match emitted labels; their listeners receive the label first */
+    addListener(label: EmitterLabel, callback: Function, vm: any): boolean
+    /** Add a listener that is removed before its first call */
+    once(label: EmitterLabel, callback: Function, vm: any): boolean
+    removeListener(label: EmitterLabel, callback: Function, vm: any): boolean
+    /** Remove every listener of `vm`, or all listeners without arguments */
+    removeAllListeners(vm?: any): boolean
     emit(label: string, ...args: any[]): boolean
+    /** Receives errors thrown or rejected by listeners (default: console.error) */
+    onError: ListenerErrorHandler
 }
 
+/** Shared emitter of standalone Observers; plugin installs forward their default connection events to it */
 export const Emitter: EmitterInstance
 
+export function createEmitter(options?: { onError?: ListenerErrorHandler, forward?: EmitterInstance }): EmitterInstance
+
+/** inject() key of the plugin's default connection emitter */
+export const socketEmitterKey: InjectionKey<EmitterInstance>
+
+/** inject() key of the plugin's named connection emitters */
+export const socketEmittersKey: InjectionKey<Record<string, EmitterInstance>>
+
 // Vue module augmentation
 declare module 'vue' {
     interface ComponentCustomProperties {
         /** WebSocket instance */
-        $socket: WebSocket & {
-            /** Send JSON-stringified object (when format: 'json' is enabled) */
-            sendObj?: (obj: object) => void
-        }
+        $socket: PluginSocket
+        /** Named connections (when `connections` is set) */
+        $sockets: Record<string, PluginSocket>
+        /** Reactive state of the default connection */
+        $socketState: SocketState
+        /** Reactive state of each named connection */
+        $socketStates: Record<string, SocketState>
+        /** Traffic and latency counters of the default connection (when stats is enabled) */
+        $socketStats: ConnectionStats
+        /** Traffic and latency counters of each named connection with stats enabled */
+        $socketStatsByName: Record<string, ConnectionStats>
+        /** Emitter of this app's default connection, behind its `sockets` handlers */
+        $socketEmitter: EmitterInstance
+        /** Emitters of this app's named connections */
+        $socketEmitters: Record<string, EmitterInstance>
+        /** Outbound queue state (when queue is enabled) */
+        $socketQueue: { size: number }
         /** Connect to WebSocket (when connectManually: true) */
         $connect: (url?: string, opts?: VueNativeSockOptions) => void
         /** Disconnect from WebSocket (when connectManually: true) */
@@ -118,12 +518,14 @@ declare module 'vue' {
     }
 
     interface ComponentCustomOptions {
-        /** Socket event handlers */
+        /** Socket event handlers, or handlers for a named connection keyed by its name */
         sockets?: {
             onopen?: (event: Event) => void
             onclose?: (event: CloseEvent) => void
             onerror?: (event: Event) => void
-            onmessage?: (event: MessageEvent) => void
+            /** `decoded` is the message decoded by the codec, when one is set */
+            onmessage?: (event: MessageEvent, decoded?: any) => void
+            [key: string]: ((payload: any) => void) | SocketHandlers | undefined
         }
     }
 }
@@ -0,0 +1,103 @@
+// Type definitions for native-websocket-vue3/testing
+
+/** Mock socket event, carrying the properties of the matching DOM event */
+export interface MockSocketEvent {
+    type: 'open' | 'message' | 'error' | 'close'
+    target: MockWebSocket
+    currentTarget: MockWebSocket
+    timeStamp: number
+    /** Message events */
+    data?: any
+    origin?: string
+    /** Close events */
+    code?: number
+    reason?: string
+    wasClean?: boolean
+}
+
+type MockSocketListener = (event: MockSocketEvent) => void
+
+/** In-memory drop-in for the browser `WebSocket` */
+export class MockWebSocket {
+    static readonly CONNECTING: 0
+    static readonly OPEN: 1
+    static readonly CLOSING: 2
+    static readonly CLOSED: 3
+    readonly CONNECTING: 0
+    readonly OPEN: 1
+    readonly CLOSING: 2
+    readonly CLOSED: 3
+
+    constructor(url: string | URL, protocols?: string | string[], server?: MockServer | null)
+
+    url: string
+    protocol: string
+    protocols: string[]
+    extensions: string
+    binaryType: BinaryType
+    bufferedAmount: number
+    readyState: number
+    /** Server this socket is attached to, null when none matched its URL */
+    server: MockServer | null
+    /** Frames sent by this socket */
+    sent: any[]
+
+    onopen: MockSocketListener | null
+    onmessage: MockSocketListener | null
+    onerror: MockSocketListener | null
+    onclose: MockSocketListener | null
+
+    addEventListener(type: string, listener: MockSocketListener): void
+    removeEventListener(type: string, listener: MockSocketListener): void
+    send(data: any): void
+    close(code?: number, reason?: string): void
+}
+
+export interface MockServerOptions {
+    /** Open new connections automatically (default: true) */
+    autoAccept?: boolean
+    /** Delay in ms for opening, frames and closes in both directions (default: 0) */
+    latency?: number
+}
+
+/** Controllable server end of mock connections */
+export class MockServer {
+    /** @param url Only accept sockets for this URL; omit to accept any */
+    constructor(url?: string, options?: MockServerOptions)
+
+    url?: string
+    autoAccept: boolean
+    latency: number
+    /** Open connections */
+    clients: MockWebSocket[]
+    /** Connections waiting for `accept()` or `refuse()` */
+    pending: MockWebSocket[]
+    /** Every frame received from clients, in order */
+    messages: any[]
+    readonly lastMessage: any
+
+    /** Replace the global `WebSocket` and route sockets for this URL here */
+    install(): this
+    /** Close all clients and restore the global `WebSocket` once no server is installed */
+    uninstall(): void
+    /** Create a socket attached to this server, e.g. for the plugin's `WebSocket` option */
+    createSocket(url?: string, protocols?: string | string[]): MockWebSocket
+
+    on(type: 'connection' | 'close', handler: (socket: MockWebSocket) => void): () => void
+    on(type: 'message', handler: (data: any, socket: MockWebSocket) => void): () => void
+    /** Resolves with the next opened client */
+    connected(): Promise<MockWebSocket>
+    /** Resolves with the next frame a client sends */
+    nextMessage(): Promise<any>
+
+    accept(socket?: MockWebSocket): void
+    refuse(socket?: MockWebSocket, code?: number, reason?: string): void
+    /** Push a frame; strings and binary data as is, other values as JSON */
+    send(data: any, socket?: MockWebSocket): void
+    close(code?: number, reason?: string, socket?: MockWebSocket): void
+    /** Fire an error event without closing */
+    error(socket?: MockWebSocket): void
+    /** Error event followed by an unclean close (1006) */
+    drop(socket?: MockWebSocket): void
+    clearMessages(): void
+}
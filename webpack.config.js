@@ -53,7 +53,9 @@ export default [
         commonjs2: 'vue',
         amd: 'vue',
         root: 'Vue'
-      }
+      },
+      // Loaded with import() only when the devtools option is set
+      '@vue/devtools-api': 'import @vue/devtools-api'
     },
     output: {
       path: path.resolve(__dirname, './dist'),
@@ -63,7 +65,9 @@ export default [
         type: 'umd',
         export: 'default'
       },
-      globalObject: 'this'
+      globalObject: 'this',
+      // Keep the devtools import() instead of bundling a chunk loader
+      environment: { dynamicImport: true }
     }
   },
   // ESM build
@@ -74,7 +78,8 @@ export default [
       outputModule: true
     },
     externals: {
-      vue: 'vue'
+      vue: 'vue',
+      '@vue/devtools-api': 'import @vue/devtools-api'
     },
     externalsType: 'module',
     output: {
@@ -86,5 +91,34 @@ export default [
       module: true,
       chunkFormat: 'module'
     }
+  },
+  // Test utilities, CommonJS
+  {
+    ...baseConfig,
+    entry: './src/testing.js',
+    output: {
+      path: path.resolve(__dirname, './dist'),
+      filename: 'testing.js',
+      library: {
+        type: 'commonjs2'
+      }
+    }
+  },
+  // Test utilities, ESM
+  {
+    ...baseConfig,
+    entry: './src/testing.js',
+    experiments: {
+      outputModule: true
+    },
+    output: {
+      path: path.resolve(__dirname, './dist'),
+      filename: 'testing.esm.js',
+      library: {
+        type: 'module'
+      },
+      module: true,
+      chunkFormat: 'module'
+    }
   }
 ]